@@ -16,27 +16,65 @@
 //.
 //. ## API
 
+import fs from 'fs';
 import http from 'http';
+import http2 from 'http2';
 import https from 'https';
 import qs from 'querystring';
-import {Readable, pipeline} from 'stream';
+import {
+  Duplex,
+  PassThrough,
+  Readable,
+  Transform,
+  Writable,
+  pipeline as streamPipeline,
+} from 'stream';
+import {StringDecoder} from 'string_decoder';
 import {isDeepStrictEqual} from 'util';
 import {lookup} from 'dns';
+import tls from 'tls';
+import {createHash, randomBytes} from 'crypto';
+import {performance} from 'perf_hooks';
+import {
+  createBrotliDecompress,
+  createGunzip,
+  createInflate,
+  createInflateRaw,
+} from 'zlib';
 
 import {
   Future,
   attempt,
+  bichain,
   chain,
   encase,
+  fork,
   map,
   mapRej,
+  node,
   pap,
+  parallel,
   reject,
   resolve,
 } from 'fluture/index.js';
 
 const hasProp = k => o => Object.prototype.hasOwnProperty.call (o, k);
 
+//    startTimer :: Nullable Number -> (() -> Undefined) -> () -> Undefined
+const startTimer = timeout => f => {
+  if (timeout == null) {
+    return () => {};
+  }
+  const job = setTimeout (f, timeout);
+  return () => { clearTimeout (job); };
+};
+
+//    sleep :: Number -> Future a Undefined
+const sleep = ms => Future ((rej, res) => {
+  const job = setTimeout (res, ms);
+  return () => { clearTimeout (job); };
+});
+
 //. ### EventEmitter
 
 //# once :: String -> EventEmitter -> Future Error a
@@ -112,31 +150,269 @@ export const streamOf = encase (buf => new Readable ({
 //. as an empty [`Request`](#Request) body, for example.
 export const emptyStream = streamOf (Buffer.alloc (0));
 
-//# buffer :: Readable a -> Future Error (Array a)
+//# fromIterable :: Iterable a -> Future Error (Readable a)
 //.
-//. Buffer all data on a [Readable][] stream into a Future of an Array.
+//. Given an Iterable or an AsyncIterable, such as an Array or a Generator,
+//. returns a Future of a [Readable][] stream in object mode which emits the
+//. values produced by the Iterable before ending. Values are taken from the
+//. Iterable as the stream is read, so back-pressure is respected. If the
+//. Iterable throws, the stream emits the thrown error.
+//.
+//. Like [`streamOf`](#streamOf), the stream is wrapped in a Future to defer
+//. its creation.
+//.
+//. ```js
+//. > fromIterable (['hello', 'world']).pipe (chain (buffer));
+//. Future.of (['hello', 'world']);
+//. ```
+export const fromIterable = encase (xs => Readable.from (xs));
+
+//# toAsyncIterable :: Readable a -> AsyncIterable a
+//.
+//. Given a [Readable][] stream, returns an AsyncIterable of the data it
+//. emits, to be consumed using `for await`. Iteration rejects when the stream
+//. emits an error, and the stream is destroyed when iteration is stopped
+//. early, for example using `break`.
+export const toAsyncIterable = stream => ({
+  [Symbol.asyncIterator]: () => stream[Symbol.asyncIterator] (),
+});
+
+//# transform :: (a -> b) -> Transform a b
+//.
+//. Given a function, returns a Transform stream in object mode which passes
+//. on the result of applying the function to every chunk written to it.
+//. Results of `null` or `undefined` are dropped, as streams cannot carry
+//. them. When the function throws, the stream emits the thrown error. Use it
+//. with [`pipeline`](#pipeline).
+//.
+//. ```js
+//. fromIterable (['hello', 'world'])
+//. .pipe (chain (pipeline ([transform (s => s.toUpperCase ())])
+//.                       (createWriteStream ('./hello.txt'))))
+//. ```
+export const transform = f => new Transform ({
+  objectMode: true,
+  transform: (chunk, encoding, callback) => {
+    let result = null;
+    try {
+      result = f (chunk);
+    } catch (e) {
+      callback (e);
+      return;
+    }
+    callback (null, result);
+  },
+});
+
+//# pipeline :: Array Duplex -> Writable -> Readable a -> Future Error Undefined
+//.
+//. Pipes the given [Readable][] stream through the given Duplex streams,
+//. such as the ones made by [`transform`](#transform), into the given
+//. Writable stream, using Node's [`stream.pipeline`][], and resolves once
+//. the Writable has finished. If any of the streams fails, all of them are
+//. destroyed and the Future rejects with the error.
+//.
+//. When the Future is cancelled, all of the streams are destroyed.
+//.
+//. ```js
+//. streamOf (Buffer.from ('hello'))
+//. .pipe (chain (pipeline ([createGzip ()])
+//.                       (createWriteStream ('./hello.txt.gz'))))
+//. ```
+export const pipeline = transforms => writable => readable => (
+  Future ((rej, res) => {
+    const streams = [readable, ...transforms, writable];
+    streamPipeline (streams, e => {
+      if (e == null) {
+        res (undefined);
+      } else {
+        rej (e);
+      }
+    });
+    return () => {
+      streams.forEach (stream => { stream.destroy (); });
+    };
+  })
+);
+
+//# pipeTo :: Writable -> Readable a -> Future Error Undefined
+//.
+//. A version of [`pipeline`](#pipeline) without any Duplex streams in
+//. between. Resolves once the Writable has finished. If either stream
+//. fails, both are destroyed and the Future rejects with the error.
+//.
+//. When the Future is cancelled, both streams are destroyed.
+//.
+//. ```js
+//. streamOf (Buffer.from ('hello'))
+//. .pipe (chain (pipeTo (createWriteStream ('./hello.txt'))))
+//. ```
+export const pipeTo = pipeline ([]);
+
+//# drain :: Readable a -> Future Error Undefined
+//.
+//. Consumes the given [Readable][] stream, discarding its data, and resolves
+//. once the stream has ended. If the stream emits an error, the Future
+//. rejects with it.
+//.
+//. When the Future is cancelled, the stream is destroyed.
+export const drain = stream => Future ((rej, res) => {
+  const removeListeners = () => {
+    stream.removeListener ('end', onEnd);
+    stream.removeListener ('error', onError);
+  };
+  const onEnd = () => {
+    removeListeners ();
+    res (undefined);
+  };
+  const onError = e => {
+    removeListeners ();
+    rej (e);
+  };
+  stream.once ('end', onEnd);
+  stream.once ('error', onError);
+  stream.resume ();
+  return () => {
+    removeListeners ();
+    stream.destroy ();
+  };
+});
+
+//# writeAll :: Writable -> Iterable a -> Future Error Undefined
+//.
+//. Writes the values of the given Iterable to the given Writable stream, in
+//. order. Whenever the Writable signals that its buffer is full, writing is
+//. paused until it emits `'drain'`. The Future resolves once every value
+//. has been accepted by the Writable, which is not ended, so more data can
+//. be written to it afterwards. If the Writable emits an error, the Future
+//. rejects with it. If the Iterable throws, the Writable is destroyed with
+//. the thrown error.
+//.
+//. When the Future is cancelled, the Writable is destroyed.
+//.
+//. ```js
+//. writeAll (process.stdout) (['hello', ' ', 'world', '\n'])
+//. ```
+export const writeAll = writable => xs => Future ((rej, res) => {
+  const iterator = xs[Symbol.iterator] ();
+  const removeListeners = () => {
+    writable.removeListener ('drain', onDrain);
+    writable.removeListener ('error', onError);
+  };
+  const onDrain = () => {
+    try {
+      for (let next = iterator.next (); !next.done; next = iterator.next ()) {
+        if (!(writable.write (next.value))) {
+          writable.once ('drain', onDrain);
+          return;
+        }
+      }
+    } catch (e) {
+      writable.destroy (e);
+      return;
+    }
+    removeListeners ();
+    res (undefined);
+  };
+  const onError = e => {
+    removeListeners ();
+    rej (e);
+  };
+  writable.once ('error', onError);
+  onDrain ();
+  return () => {
+    removeListeners ();
+    writable.destroy ();
+  };
+});
+
+//    progressTracker :: String -> Nullable Number -> (Progress -> Any)
+//                    -> Number -> Undefined
+const progressTracker = direction => total => onProgress => {
+  const start = performance.now ();
+  let transferred = 0;
+  return size => {
+    transferred += size;
+    const elapsed = Math.max (performance.now () - start, 1);
+    onProgress ({
+      direction: direction,
+      transferred: transferred,
+      total: total,
+      rate: transferred * 1000 / elapsed,
+    });
+  };
+};
+
+//# bufferWith :: Object -> Readable a -> Future Error (Array a)
+//.
+//. A version of [`buffer`](#buffer) which takes an Object of options as its
+//. first argument. The following options are supported:
+//.
+//. - `idleTimeout`: The maximum number of milliseconds to wait for the
+//.   stream to produce its next chunk of data. When the stream idles for
+//.   longer, it is destroyed and the Future rejects with a
+//.   [TimeoutError](#TimeoutError) in the `'body'` phase.
+//. - `maxBytes`: The maximum number of bytes to buffer. As soon as the
+//.   stream produces more, it is destroyed and the Future rejects with a
+//.   [PayloadTooLargeError](#PayloadTooLargeError). Messages which declare
+//.   a larger Content-Length are rejected before any data is buffered.
+//. - `onProgress`: A function which is called with a Progress every time
+//.   the stream produces a chunk of data.
+//.
+//. A Progress is an Object with the following properties:
+//.
+//. - `direction`: Either `'download'`, or `'upload'` when reported for a
+//.   request body (see [`Request`](#Request)).
+//. - `transferred`: The number of bytes transferred so far.
+//. - `total`: The number of bytes that will be transferred in total, as
+//.   given by the Content-Length header of the message, or `null` when it
+//.   is unknown.
+//. - `rate`: The average number of bytes transferred per second.
 //.
 //. When the Future is cancelled, it removes any trace of
 //. itself from the Stream.
 //.
 //. ```js
-//. > const stream = new Readable ({read: () => {}});
-//. > setTimeout (() => {
-//. .   stream.push ('hello');
-//. .   stream.push ('world');
-//. .   stream.push (null);
-//. . }, 100);
-//. > buffer (stream);
-//. Future.of ([Buffer.from ('hello'), Buffer.from ('world')]);
+//. bufferWith ({onProgress: ({transferred, total}) => {
+//.   console.log (`Received ${transferred} of ${total} bytes`);
+//. }})
 //. ```
-export const buffer = stream => Future ((rej, res) => {
+export const bufferWith = options => stream => Future ((rej, res) => {
   const chunks = [];
+  const declared = stream.headers == null ?
+                   null :
+                   contentLength (stream.headers);
+  const exceeds = size => options.maxBytes != null && size > options.maxBytes;
+  const track = options.onProgress == null ? () => {} : (
+    progressTracker ('download') (declared) (options.onProgress)
+  );
+  const tooLarge = () => (
+    new PayloadTooLargeError ('Body', options.maxBytes, null, null)
+  );
+  let size = 0;
+  let stopTimer = () => {};
+  const resetTimer = () => {
+    stopTimer ();
+    stopTimer = startTimer (options.idleTimeout) (onTimeout);
+  };
   const removeListeners = () => {
+    stopTimer ();
     stream.removeListener ('data', onData);
-    stream.removeListener ('error', rej);
+    stream.removeListener ('error', onError);
     stream.removeListener ('end', onEnd);
   };
-  const onData = d => chunks.push (d);
+  const onData = d => {
+    size += d.length;
+    if (exceeds (size)) {
+      removeListeners ();
+      stream.destroy ();
+      rej (tooLarge ());
+      return;
+    }
+    chunks.push (d);
+    track (d.length);
+    resetTimer ();
+  };
   const onEnd = () => {
     removeListeners ();
     res (chunks);
@@ -145,21 +421,177 @@ export const buffer = stream => Future ((rej, res) => {
     removeListeners ();
     rej (e);
   };
+  const onTimeout = () => {
+    const e = new TimeoutError ('body', options.idleTimeout, null, null);
+    removeListeners ();
+    stream.destroy ();
+    rej (e);
+  };
+  if (declared != null && exceeds (declared)) {
+    stream.destroy ();
+    rej (tooLarge ());
+    return () => {};
+  }
   stream.on ('data', onData);
   stream.once ('error', onError);
   stream.once ('end', onEnd);
+  resetTimer ();
   return removeListeners;
 });
 
+//# buffer :: Readable a -> Future Error (Array a)
+//.
+//. Buffer all data on a [Readable][] stream into a Future of an Array.
+//.
+//. When the Future is cancelled, it removes any trace of
+//. itself from the Stream.
+//.
+//. ```js
+//. > const stream = new Readable ({read: () => {}});
+//. > setTimeout (() => {
+//. .   stream.push ('hello');
+//. .   stream.push ('world');
+//. .   stream.push (null);
+//. . }, 100);
+//. > buffer (stream);
+//. Future.of ([Buffer.from ('hello'), Buffer.from ('world')]);
+//. ```
+export const buffer = bufferWith ({});
+
+//# bufferLimited :: Number -> Readable a -> Future Error (Array a)
+//.
+//. A version of [`buffer`](#buffer) which buffers no more than the given
+//. number of bytes. When the stream produces more, or when it is a message
+//. which declares a larger Content-Length, the stream is destroyed and the
+//. Future rejects with a [PayloadTooLargeError](#PayloadTooLargeError).
+//.
+//. The same limit can be given to the other buffering functions through the
+//. `maxBytes` option of [`bufferWith`](#bufferWith), for example:
+//. `autoBufferResponseWith ({maxBytes: 1048576})`.
+//.
+//. ```js
+//. > bufferLimited (5) (new Readable ({read: function() {
+//. .   this.push (Buffer.from ('hello world'));
+//. . }}));
+//. Future.reject (new PayloadTooLargeError ('Body', 5, null, null));
+//. ```
+export const bufferLimited = maxBytes => bufferWith ({maxBytes});
+
+//    bufferStringWith :: Object -> Charset -> Readable Buffer
+//                     -> Future Error String
+const bufferStringWith = options => charset => stream => (
+  chain (encode (charset))
+        (map (Buffer.concat) (bufferWith (options) (stream)))
+);
+
 //# bufferString :: Charset -> Readable Buffer -> Future Error String
 //.
 //. A version of [`buffer`](#buffer) specialized in Strings.
 //.
 //. Takes a charset and a [Readable][] stream of [Buffer][]s, and returns
 //. a Future containing a String with the fully buffered and encoded result.
-export const bufferString = charset => stream => (
-  chain (encode (charset)) (map (Buffer.concat) (buffer (stream)))
-);
+export const bufferString = bufferStringWith ({});
+
+//. ### File System
+
+//# readFile :: String -> Future Error Buffer
+//.
+//. Reads the entire contents of the file at the given path into a
+//. [Buffer][]. Use [`encode`](#encode) to turn it into a String.
+//.
+//. ```js
+//. readFile ('./data.json').pipe (chain (encode ('utf8')))
+//. ```
+export const readFile = path => node (done => { fs.readFile (path, done); });
+
+//# writeFile :: String -> Buffer -> Future Error Undefined
+//.
+//. Writes the given [Buffer][] (or String) to the file at the given path,
+//. replacing the file if it already exists.
+export const writeFile = path => data => node (done => {
+  fs.writeFile (path, data, done);
+});
+
+//# statFile :: String -> Future Error Stats
+//.
+//. Returns a Future of the [Stats][] of the file at the given path. Its
+//. `size` property makes a suitable Content-Length header, as used by
+//. [`sendFile`](#sendFile).
+export const statFile = path => node (done => { fs.stat (path, done); });
+
+//# fileStream :: String -> Future Error (Readable Buffer)
+//.
+//. Opens the file at the given path, and returns a Future of a [Readable][]
+//. stream of its contents. Because the file is opened before the Future
+//. resolves, a missing file causes the Future to reject, rather than the
+//. stream to emit an error. The file is closed when the stream ends or is
+//. destroyed, or when the Future is cancelled while the file is opened.
+//.
+//. Like [`streamOf`](#streamOf), it can be used as the body of a
+//. [Request](#Request):
+//.
+//. ```js
+//. Request ({method: 'PUT', headers: {'Transfer-Encoding': 'chunked'}})
+//.         ('https://example.com/data.bin')
+//.         (fileStream ('./data.bin'))
+//. ```
+export const fileStream = path => Future ((rej, res) => {
+  let cancelled = false;
+  fs.open (path, 'r', (e, fd) => {
+    if (e != null) {
+      rej (e);
+    } else if (cancelled) {
+      fs.close (fd, () => {});
+    } else {
+      res (fs.createReadStream (path, {fd}));
+    }
+  });
+  return () => { cancelled = true; };
+});
+
+//# writeStreamToFile :: String -> Readable Buffer -> Future Error Undefined
+//.
+//. Writes the data from the given [Readable][] stream to the file at the
+//. given path. The data is first written to a temporary file next to it,
+//. which is renamed once the stream has ended, so the file at the given
+//. path is either left untouched, or replaced in its entirety.
+//.
+//. When the stream fails, or the Future is cancelled before the temporary
+//. file is renamed, the streams are destroyed and the temporary file is
+//. removed. Once the rename has started, it runs to completion, even if the
+//. Future is cancelled.
+//.
+//. ```js
+//. retrieve ('https://example.com/data.bin') ({})
+//. .pipe (map (Response.message))
+//. .pipe (chain (writeStreamToFile ('./data.bin')))
+//. ```
+export const writeStreamToFile = path => stream => Future ((rej, res) => {
+  const temporary = `${path}.${randomBytes (6).toString ('hex')}.tmp`;
+  const file = fs.createWriteStream (temporary, {flags: 'wx'});
+  let cancelled = false;
+  const fail = e => {
+    fs.unlink (temporary, () => { rej (e); });
+  };
+  streamPipeline (stream, file, e => {
+    if (e == null && !cancelled) {
+      fs.rename (temporary, path, e => {
+        if (e == null) {
+          res (undefined);
+        } else {
+          fail (e);
+        }
+      });
+    } else {
+      fail (e);
+    }
+  });
+  return () => {
+    cancelled = true;
+    stream.destroy ();
+    file.destroy ();
+  };
+});
 
 //. ### Event Loop
 
@@ -259,7 +691,10 @@ export const immediate = x => Future ((rej, res) => {
 //. - How the response body is parsed: We used [`Fluture.encase`][] with
 //.   [`JSON.parse`][] to parse JSON with a safe failure path. However, we
 //.   could have used a more refined approach to parsing the JSON, for
-//.   example by using [`S.parseJson`][].
+//.   example by using [`S.parseJson`][], or by using
+//.   [`bufferJsonResponse`](#bufferJsonResponse), which also checks the
+//.   content type. Large responses can even be parsed incrementally using
+//.   [`streamJsonArray`](#streamJsonArray).
 //.
 //. The goal is to give you as much control over HTTP requests and responses
 //. as possible, while still keeping boilerplate low by leveraging function
@@ -283,6 +718,7 @@ const charsetRegex = /\bcharset=([^;\s]+)/;
 const mimeTypes = {
   form: 'application/x-www-form-urlencoded; charset=utf8',
   json: 'application/json; charset=utf8',
+  multipart: 'multipart/form-data',
 };
 
 //    getRequestModule :: String -> Future Error Module
@@ -294,6 +730,253 @@ const getRequestModule = protocol => {
   }
 };
 
+//# HttpError :: (String, Nullable Request, Nullable Response) -> HttpError
+//.
+//. The base type of the Errors produced by the HTTP functions in this
+//. library. This allows for a failure to be told apart by its type, using
+//. `instanceof` or the `name` property, rather than by its message. Besides
+//. the usual `message`, every HttpError has the following properties:
+//.
+//. - `request`: The [Request](#Request) that failed, or `null` if the
+//.   failure is unrelated to any Request.
+//. - `response`: The [Response](#Response) that failed, or `null` if no
+//.   Response was received.
+//.
+//. ```js
+//. import {mapRej} from 'fluture';
+//.
+//. retrieve ('https://example.com') ({})
+//. .pipe (mapRej (e => (
+//.   e instanceof TimeoutError ? 'The server was too slow' :
+//.   e instanceof NetworkError ? 'The server could not be reached' :
+//.   'Something else went wrong'
+//. )));
+//. ```
+export class HttpError extends Error {
+  constructor(message, request, response) {
+    super (message);
+    this.request = request;
+    this.response = response;
+  }
+}
+
+HttpError.prototype.name = 'HttpError';
+
+//# NetworkError :: (Error, Nullable Request) -> NetworkError
+//.
+//. An [HttpError](#HttpError) produced when a Request could not be sent, or
+//. its Response could not be received. Takes its message from the
+//. underlying Error, which is kept under the `cause` property. The `code`
+//. property of the underlying Error, such as `'ECONNREFUSED'`, is copied.
+export class NetworkError extends HttpError {
+  constructor(cause, request) {
+    super (cause.message, request, null);
+    this.cause = cause;
+    this.code = cause.code;
+  }
+}
+
+NetworkError.prototype.name = 'NetworkError';
+
+//# TimeoutError :: (String, Number, Nullable Request, Nullable Response) -> TimeoutError
+//.
+//. An [HttpError](#HttpError) produced when an operation takes longer than
+//. it was allowed to. It has the following additional properties:
+//.
+//. - `phase`: A String indicating what was being waited for. One of
+//.   `'connect'`, `'response'`, `'total'`, `'idle'`, `'body'`, or
+//.   `'close'`. See [`Request`](#Request), [`bufferWith`](#bufferWith) and
+//.   [`closeWebSocket`](#closeWebSocket) for details.
+//. - `timeout`: The number of milliseconds that had been allowed.
+export class TimeoutError extends HttpError {
+  constructor(phase, timeout, request, response) {
+    super (
+      `Timed out in the ${phase} phase after ${timeout}ms`,
+      request,
+      response
+    );
+    this.phase = phase;
+    this.timeout = timeout;
+  }
+}
+
+TimeoutError.prototype.name = 'TimeoutError';
+
+//# BodyDecodeError :: (Error, Nullable Request, Nullable Response) -> BodyDecodeError
+//.
+//. An [HttpError](#HttpError) produced when a message body could not be
+//. buffered or decoded. The underlying Error is kept under the `cause`
+//. property.
+export class BodyDecodeError extends HttpError {
+  constructor(cause, request, response) {
+    super ('Failed to buffer response: ' + cause.message, request, response);
+    this.cause = cause;
+  }
+}
+
+BodyDecodeError.prototype.name = 'BodyDecodeError';
+
+//# JsonParseError :: (Error, Number, Number, Nullable Request, Nullable Response) -> JsonParseError
+//.
+//. A [BodyDecodeError](#BodyDecodeError) produced when a message body does
+//. not contain valid JSON. Besides the `cause`, it has a `line` property and
+//. an `offset` property, which tell where in the message body parsing
+//. failed. The line number starts at 1, and the offset is the number of
+//. characters preceding the failure.
+export class JsonParseError extends BodyDecodeError {
+  constructor(cause, line, offset, request, response) {
+    super (cause, request, response);
+    this.message = `Failed to parse JSON at line ${line}, offset ${offset}: `
+                 + cause.message;
+    this.line = line;
+    this.offset = offset;
+  }
+}
+
+JsonParseError.prototype.name = 'JsonParseError';
+
+//# ContentTypeError :: (String, Nullable Request, Nullable Response) -> ContentTypeError
+//.
+//. An [HttpError](#HttpError) produced when a message body is not of the
+//. expected content type. The offending content type is kept under the
+//. `contentType` property.
+export class ContentTypeError extends HttpError {
+  constructor(contentType, request, response) {
+    super (`Unexpected content type: ${contentType}`, request, response);
+    this.contentType = contentType;
+  }
+}
+
+ContentTypeError.prototype.name = 'ContentTypeError';
+
+//# PayloadTooLargeError :: (String, Number, Nullable Request, Nullable Response) -> PayloadTooLargeError
+//.
+//. An [HttpError](#HttpError) produced when a message body, or a part of it,
+//. exceeds a configured size limit. Takes a description of what exceeded
+//. the limit, and the limit in bytes, which is kept under the `limit`
+//. property.
+export class PayloadTooLargeError extends HttpError {
+  constructor(subject, limit, request, response) {
+    const message = `${subject} exceeded the limit of ${limit} bytes`;
+    super (message, request, response);
+    this.limit = limit;
+  }
+}
+
+PayloadTooLargeError.prototype.name = 'PayloadTooLargeError';
+
+//# CircuitOpenError :: (String, Nullable Request) -> CircuitOpenError
+//.
+//. An [HttpError](#HttpError) produced by a
+//. [`circuitBreaker`](#circuitBreaker) when it refuses to send a Request
+//. because the circuit for its origin is open. Takes the origin, which is
+//. kept under the `origin` property.
+export class CircuitOpenError extends HttpError {
+  constructor(origin, request) {
+    super (`Circuit for ${origin} is open`, request, null);
+    this.origin = origin;
+  }
+}
+
+CircuitOpenError.prototype.name = 'CircuitOpenError';
+
+//# UnexpectedRequestError :: Request -> UnexpectedRequestError
+//.
+//. An [HttpError](#HttpError) produced by a
+//. [MockTransport](#MockTransport) when it receives a Request which does not
+//. match any of its [Expectation](#Expectation)s.
+export class UnexpectedRequestError extends HttpError {
+  constructor(request) {
+    super (
+      'Unexpected request: ' +
+      `${cleanRequestOptions (request).method} ${Request.url (request)}`,
+      request,
+      null
+    );
+  }
+}
+
+UnexpectedRequestError.prototype.name = 'UnexpectedRequestError';
+
+//# WebSocketError :: (String, Nullable Number, Nullable Request, Nullable Response) -> WebSocketError
+//.
+//. An [HttpError](#HttpError) produced by
+//. [`connectWebSocket`](#connectWebSocket) when the opening handshake fails,
+//. and by the WebSockets it creates when the connection is not closed
+//. normally. Takes a message and a close code, which is kept under the
+//. `closeCode` property. The close code is `null` for handshake failures.
+export class WebSocketError extends HttpError {
+  constructor(message, closeCode, request, response) {
+    super (message, request, response);
+    this.closeCode = closeCode;
+  }
+}
+
+WebSocketError.prototype.name = 'WebSocketError';
+
+//    maxErrorBodyLength :: Number
+const maxErrorBodyLength = 1000;
+
+//    truncate :: Number -> String -> String
+const truncate = n => s => (s.length > n ? s.slice (0, n) + '...' : s);
+
+//# HttpStatusError :: (Response, String) -> HttpStatusError
+//.
+//. An [HttpError](#HttpError) produced when a Response has a status that
+//. was not expected, such as by [`responseToError`](#responseToError).
+//. Takes the Response and its body, which is truncated to a maximum of 1000
+//. characters. It has the following additional properties:
+//.
+//. - `status`: The status code of the Response.
+//. - `body`: The truncated body of the Response.
+export class HttpStatusError extends HttpError {
+  constructor(response, body) {
+    const message = Response.message (response);
+    const truncated = truncate (maxErrorBodyLength) (body);
+    super (
+      `Unexpected ${message.statusMessage} (${message.statusCode}) ` +
+      'response. Response body:\n\n' +
+      truncated.split ('\n').map (x => `  ${x}`).join ('\n'),
+      Response.request (response),
+      response
+    );
+    this.status = message.statusCode;
+    this.body = truncated;
+  }
+}
+
+HttpStatusError.prototype.name = 'HttpStatusError';
+
+//# RedirectLoopError :: (Response, Request) -> RedirectLoopError
+//.
+//. An [HttpError](#HttpError) produced by
+//. [`followRedirectsWith`](#followRedirectsWith) when a Response redirects
+//. to a Request that was already sent before. Takes the Response, and the
+//. Request it redirects to, which is kept under the `request` property.
+export class RedirectLoopError extends HttpError {
+  constructor(response, request) {
+    super (
+      `Redirect loop detected: ${Request.url (request)} was visited before`,
+      request,
+      response
+    );
+  }
+}
+
+RedirectLoopError.prototype.name = 'RedirectLoopError';
+
+//    withContext :: Request -> Nullable Response -> Any -> Any
+//
+//    Fills in the Request and Response of an HttpError that was produced
+//    without knowledge of them.
+const withContext = request => response => e => {
+  if (e instanceof HttpError && e.request == null) {
+    e.request = request;
+    e.response = response;
+  }
+  return e;
+};
+
 //# Request :: Object -> Url -> Future Error (Readable Buffer) -> Request
 //.
 //. Constructs a value of type Request to be used as an argument for
@@ -310,6 +993,57 @@ const getRequestModule = protocol => {
 //.    every time it is forked, or if it can't, it is expected to reject
 //.    with a value of type Error.
 //.
+//. Besides the http options, the options Object may contain the following
+//. timeouts, given in milliseconds. When a timeout is exceeded, the request
+//. is aborted, and [`sendRequest`](#sendRequest) rejects with a
+//. [TimeoutError](#TimeoutError) that mentions the phase that took too long:
+//.
+//. - `connectTimeout`: Limits the time it takes to establish a connection
+//.   (the `'connect'` phase).
+//. - `responseTimeout`: Limits the time between the request being sent and
+//.   the first byte of the response being received (the `'response'` phase).
+//. - `totalTimeout`: Limits the time between the start of the request and
+//.   the end of the response body (the `'total'` phase). When this timeout
+//.   is exceeded while the response body is being consumed, the response
+//.   stream is destroyed with the TimeoutError.
+//. - `timeout`: This http option limits the time the socket may be idle
+//.   (the `'idle'` phase).
+//.
+//. The options Object may furthermore contain a `proxy`: a String with the
+//. URL of an HTTP(S) proxy to send the request through. Plain HTTP requests
+//. are sent to the proxy in absolute form, and HTTPS requests are tunnelled
+//. through it using the `CONNECT` method. In the latter case, the TLS options
+//. of the given `agent` (such as `ca`) are used for the tunnelled connection.
+//. Credentials in the proxy URL are sent to the proxy in a
+//. `Proxy-Authorization` header. That header, whether derived from the proxy
+//. URL or given in `headers`, is only ever sent to the proxy; never through
+//. the tunnel. See [`proxyFromEnv`](#proxyFromEnv) for using the
+//. conventional environment variables.
+//.
+//. The options Object may also contain an `http2`: an
+//. [Http2Agent](#Http2Agent) whose sessions are used to send the request
+//. over HTTP/2. The `agent` option does not apply to such requests, and
+//. sending them through a `proxy` is not supported: the Future rejects
+//. instead. Whichever protocol is used, the resulting
+//. [Response](#Response) has the same shape.
+//.
+//. URLs with the `http+unix:` scheme are sent over the Unix domain socket
+//. whose percent-encoded path is given as the host, for example:
+//. `http+unix://%2Fvar%2Frun%2Fdocker.sock/containers/json`. Such requests
+//. cannot be sent through a `proxy` or over HTTP/2: the Future rejects
+//. instead.
+//.
+//. The options Object may also contain an `onProgress` function, which is
+//. called with a Progress every time a chunk of the request body has been
+//. passed on to be sent. Its `direction` is `'upload'`, and its `total` is
+//. taken from the Content-Length header of the request. See
+//. [`bufferWith`](#bufferWith) for details, and for reporting the progress
+//. of downloading the response body.
+//.
+//. Finally, the options Object may contain a `trace` function, which is
+//. called with timing information once the request has completed. See
+//. [`traceRequest`](#traceRequest) for details.
+//.
 //. See [`sendRequest`](#sendRequest) for a usage example.
 export const Request = options => url => body => ({options, url, body});
 
@@ -370,53 +1104,1062 @@ export const cleanRequestOptions = request => {
   };
 };
 
-//# sendRequest :: Request -> Future Error Response
+//# mapOptions :: (Object -> Object) -> Request -> Request
 //.
-//. This is the "lowest level" function for making HTTP requests. It does not
-//. handle buffering, encoding, content negotiation, or anything really.
-//. For most use cases, you can use one of the more specialized functions:
+//. Returns a new Request with the options of the given Request transformed
+//. by the given function. The function receives a shallow copy of the
+//. options, so it may modify and return that.
 //.
-//. * [`send`](#send): Make a generic HTTP request.
-//. * [`retrieve`](#retrieve): Make a GET request.
+//. ```js
+//. mapOptions (options => Object.assign (options, {totalTimeout: 5000}))
+//. ```
+export const mapOptions = f => request => (
+  Request (f (Object.assign ({}, Request.options (request))))
+          (Request.url (request))
+          (Request.body (request))
+);
+
+//# mapHeaders :: (Array (Array2 String String) -> Array (Array2 String String)) -> Request -> Request
 //.
-//. Given a [Request](#Request), returns a Future which makes an HTTP request
-//. and resolves with the resulting [Response](#Response).
-//. If the Future is cancelled, the request is aborted.
+//. Returns a new Request with the headers of the given Request transformed
+//. by the given function. The function operates on an Array of name/value
+//. pairs, which makes it easy to filter headers regardless of the casing of
+//. their names.
 //.
 //. ```js
-//. import {attempt} from 'fluture';
-//. import {createReadStream} from 'fs';
-//.
-//. const BinaryPostRequest = Request ({
-//.   method: 'POST',
-//.   headers: {'Transfer-Encoding': 'chunked'},
-//. });
+//. mapHeaders (xs => xs.filter (([name]) => !(name.startsWith ('X-'))))
+//. ```
+export const mapHeaders = f => mapOptions (options => (
+  Object.assign (options, {
+    headers: Object.fromEntries (
+      f (Object.entries (options.headers == null ? {} : options.headers))
+    ),
+  })
+));
+
+//    isNotNamed :: String -> Array2 String Any -> Boolean
+const isNotNamed = name => ([x]) => x.toLowerCase () !== name.toLowerCase ();
+
+//    contentLength :: StrMap Any -> Nullable Number
+const contentLength = headers => {
+  const entry = Object.entries (headers)
+                      .find (x => !(isNotNamed ('content-length') (x)));
+  return entry == null ? null : Number (entry[1]);
+};
+
+//# setHeader :: String -> String -> Request -> Request
 //.
-//. const eventualBody = attempt (() => createReadStream ('./data.bin'));
+//. Returns a new Request with the given header set to the given value,
+//. replacing any header of the same name, regardless of its casing.
 //.
-//. sendRequest (BinaryPostRequest ('https://example.com') (eventualBody));
+//. ```js
+//. setHeader ('Authorization') ('Bearer asd123')
+//. ```
+export const setHeader = name => value => mapHeaders (xs => (
+  xs.filter (isNotNamed (name)).concat ([[name, value]])
+));
+
+//# removeHeader :: String -> Request -> Request
+//.
+//. Returns a new Request without the given header, regardless of the casing
+//. of its name.
+export const removeHeader = name => mapHeaders (xs => (
+  xs.filter (isNotNamed (name))
+));
+
+//    overSearchParams :: (URLSearchParams -> Undefined) -> Request -> Request
+const overSearchParams = f => request => {
+  const url = new URL (Request.url (request));
+  f (url.searchParams);
+  return Request (Request.options (request))
+                 (url.href)
+                 (Request.body (request));
+};
+
+//# setQuery :: String -> String -> Request -> Request
+//.
+//. Returns a new Request with the given query parameter set to the given
+//. value, replacing any parameters of the same name, using
+//. [`URLSearchParams#set`][]. The URL of the new Request is normalized.
+//.
+//. ```js
+//. setQuery ('page') ('2')
+//. ```
+export const setQuery = name => value => (
+  overSearchParams (params => params.set (name, value))
+);
+
+//# appendQuery :: String -> String -> Request -> Request
+//.
+//. Returns a new Request with the given query parameter added to the
+//. existing ones, using [`URLSearchParams#append`][]. The URL of the new
+//. Request is normalized.
+export const appendQuery = name => value => (
+  overSearchParams (params => params.append (name, value))
+);
+
+//# setMethod :: Method -> Request -> Request
+//.
+//. Returns a new Request with the given method.
+export const setMethod = method => mapOptions (options => (
+  Object.assign (options, {method})
+));
+
+//# setBody :: Future Error (Readable Buffer) -> Request -> Request
+//.
+//. Returns a new Request with the given body. See [`Request`](#Request) for
+//. the requirements on the body.
+export const setBody = body => request => (
+  Request (Request.options (request)) (Request.url (request)) (body)
+);
+
+//    proxyAuthorization :: URL -> StrMap String
+const proxyAuthorization = proxy => (
+  proxy.username === '' && proxy.password === '' ? {} : {
+    'Proxy-Authorization': 'Basic ' + Buffer.from (
+      decodeURIComponent (proxy.username) + ':' +
+      decodeURIComponent (proxy.password)
+    ).toString ('base64'),
+  }
+);
+
+//    isProxyHeader :: Array2 String Any -> Boolean
+const isProxyHeader = ([name]) => (
+  name.toLowerCase () === 'proxy-authorization'
+);
+
+//    tunnel :: Module -> URL -> URL -> Object -> StrMap String
+//           -> Array (Nullable Error -> Undefined)
+//           -> (Object, (Error, Socket) -> Undefined) -> Undefined
+//
+//    Pushes a function onto the given Array which destroys the CONNECT
+//    request, so that an abandoned tunnel doesn't hold on to a connection to
+//    the proxy.
+const tunnel = lib => proxy => location => tlsOptions => headers => aborts => (
+  (_, callback) => {
+    const authority = `${location.hostname}:${location.port || 443}`;
+    const req = lib.request (proxy, {
+      method: 'CONNECT',
+      path: authority,
+      headers: Object.assign ({Host: authority}, headers),
+      agent: false,
+    });
+    aborts.push (e => { req.destroy (e); });
+    req.once ('connect', (response, socket) => {
+      if (response.statusCode === 200) {
+        callback (null, tls.connect (Object.assign ({}, tlsOptions, {
+          socket: socket,
+          servername: location.hostname,
+        })));
+      } else {
+        socket.destroy ();
+        callback (new Error (
+          'Proxy responded to CONNECT with status ' + response.statusCode
+        ));
+      }
+    });
+    req.once ('error', callback);
+    req.end ();
+  }
+);
+
+//    decorateMessage :: String -> Number -> StrMap Any -> Readable
+//                    -> IncomingMessage
+const decorateMessage = httpVersion => status => headers => stream => {
+  const entries = Object.entries (headers);
+  stream.statusCode = status;
+  stream.statusMessage = http.STATUS_CODES[status] || '';
+  stream.httpVersion = httpVersion;
+  stream.headers = Object.fromEntries (
+    entries.map (([name, value]) => [name.toLowerCase (), value])
+  );
+  stream.rawHeaders = entries.flatMap (([name, value]) => (
+    [].concat (value).flatMap (x => [name, String (x)])
+  ));
+  return stream;
+};
+
+//    connectionHeaders :: Array String
+const connectionHeaders = [
+  'connection',
+  'host',
+  'keep-alive',
+  'proxy-connection',
+  'transfer-encoding',
+  'upgrade',
+];
+
+//    http2Session :: Http2Agent -> URL -> ClientHttp2Session
+//
+//    Returns the open session of the agent for the origin of the URL, or
+//    connects a new one. A session which fails is forgotten; its error
+//    reaches the requests in flight through their streams.
+const http2Session = agent => location => {
+  const existing = agent.sessions.get (location.origin);
+  if (existing != null && !existing.closed && !existing.destroyed) {
+    return existing;
+  }
+  const session = http2.connect (location.origin, agent.options);
+  const forget = () => {
+    if (agent.sessions.get (location.origin) === session) {
+      agent.sessions.delete (location.origin);
+    }
+  };
+  session.on ('error', forget);
+  session.once ('goaway', forget);
+  session.once ('close', forget);
+  agent.sessions.set (location.origin, session);
+  return session;
+};
+
+//    sessionError :: Nullable Error -> Nullable Error
+//
+//    Unwraps the error which caused the session of a pending stream to
+//    fail, so that a refused connection is reported as such.
+const sessionError = e => (
+  e != null && e.code === 'ERR_HTTP2_STREAM_CANCEL' && e.cause != null ?
+  e.cause :
+  e
+);
+
+//    http2ClientRequest :: Http2Agent -> URL -> Object -> ClientRequest
+//
+//    Sends the request over an HTTP/2 stream, and returns a Writable which
+//    emits the subset of the events of a ClientRequest that sendRequest
+//    listens to.
+const http2ClientRequest = agent => location => options => {
+  const session = http2Session (agent) (location);
+  const headers = Object.entries (options.headers).filter (([name]) => (
+    !(connectionHeaders.includes (name.toLowerCase ()))
+  ));
+  const stream = session.request (Object.assign (
+    Object.fromEntries (headers),
+    {':method': options.method, ':path': location.pathname + location.search}
+  ), {endStream: false});
+  const req = new Writable ({
+    autoDestroy: false,
+    write: (chunk, encoding, callback) => {
+      stream.write (chunk, encoding, e => { callback (sessionError (e)); });
+    },
+    final: callback => {
+      stream.end (e => { callback (sessionError (e)); });
+    },
+    destroy: (e, callback) => {
+      stream.destroy (e);
+      callback (e);
+    },
+  });
+  const emitSocket = socket => { req.emit ('socket', socket); };
+  req.abort = () => {
+    stream.close (http2.constants.NGHTTP2_CANCEL);
+  };
+  stream.setTimeout (options.timeout || 0);
+  stream.on ('timeout', () => { req.emit ('timeout'); });
+  stream.on ('error', e => { req.destroy (sessionError (e)); });
+  stream.once ('response', fields => {
+    const entries = Object.entries (fields)
+                          .filter (([name]) => !(name.startsWith (':')));
+    req.emit ('response', decorateMessage ('2.0')
+                                          (fields[':status'])
+                                          (Object.fromEntries (entries))
+                                          (stream));
+  });
+  if (session.connecting) {
+    session.once ('connect', (_, socket) => { emitSocket (socket); });
+  } else {
+    process.nextTick (emitSocket, session.socket);
+  }
+  return req;
+};
+
+//    createClientRequest :: Request -> Future Error
+//                                      (Array (Nullable Error -> Undefined)
+//                                       -> ClientRequest)
+//
+//    The returned function creates the ClientRequest, and pushes functions
+//    onto the given Array which abort anything it set up besides the request
+//    itself, such as the CONNECT request of a tunnel through a proxy.
+const createClientRequest = request => {
+  const location = new URL (Request.url (request));
+  const options = cleanRequestOptions (request);
+  const {proxy, http2: agent} = Request.options (request);
+  if (location.protocol === 'http+unix:' && proxy != null) {
+    return reject (new Error ('The proxy option is not supported by ' +
+                              'http+unix URLs'));
+  }
+  if (location.protocol === 'http+unix:' && agent != null) {
+    return reject (new Error ('The http2 option is not supported by ' +
+                              'http+unix URLs'));
+  }
+  if (location.protocol === 'http+unix:') {
+    return resolve (() => http.request (Object.assign ({}, options, {
+      socketPath: decodeURIComponent (location.hostname),
+      path: location.pathname + location.search,
+    })));
+  }
+  if (agent != null && proxy != null) {
+    return reject (new Error ('The proxy option is not supported by HTTP/2'));
+  }
+  if (agent != null) {
+    return getRequestModule (location.protocol).pipe (map (() => () => (
+      http2ClientRequest (agent) (location) (options)
+    )));
+  }
+  if (proxy == null) {
+    return getRequestModule (location.protocol)
+           .pipe (map (lib => () => lib.request (location, options)));
+  }
+  const viaProxy = proxyUrl => lib => proxyLib => () => {
+    const target = new URL (proxyUrl.origin);
+    const auth = location.username === '' && location.password === '' ?
+                 undefined :
+                 decodeURIComponent (location.username) + ':' +
+                 decodeURIComponent (location.password);
+    const entries = Object.entries (options.headers);
+    const headers = Object.fromEntries (
+      entries.filter (x => !(isProxyHeader (x)))
+    );
+    const proxyHeaders = Object.assign (
+      Object.fromEntries (entries.filter (isProxyHeader)),
+      proxyAuthorization (proxyUrl)
+    );
+    if (location.protocol === 'https:') {
+      const {agent} = options;
+      const tlsOptions = agent && agent.options ? agent.options : {};
+      return aborts => lib.request (location, Object.assign ({}, options, {
+        agent: undefined,
+        defaultPort: 443,
+        headers: headers,
+        createConnection: tunnel (proxyLib)
+                                 (target)
+                                 (location)
+                                 (tlsOptions)
+                                 (proxyHeaders)
+                                 (aborts),
+      }));
+    }
+    return () => proxyLib.request (target, Object.assign ({}, options, {
+      path: location.origin + location.pathname + location.search,
+      auth: auth,
+      headers: Object.assign ({Host: location.host}, headers, proxyHeaders),
+    }));
+  };
+  return encase (x => new URL (x)) (proxy).pipe (chain (proxyUrl => (
+    getRequestModule (location.protocol)
+    .pipe (map (viaProxy (proxyUrl)))
+    .pipe (pap (getRequestModule (proxyUrl.protocol)))
+    .pipe (chain (attempt))
+  )));
+};
+
+//    traceparentPattern :: RegExp
+const traceparentPattern = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+//    parseTraceparent :: Request -> Nullable Object
+const parseTraceparent = request => {
+  const header = Object.entries (cleanRequestOptions (request).headers)
+                       .find (x => !(isNotNamed ('traceparent') (x)));
+  const match = header == null ?
+                null :
+                traceparentPattern.exec (String (header[1]).trim ());
+  return match == null ? null : {
+    traceId: match[1],
+    parentId: match[2],
+    flags: match[3],
+  };
+};
+
+//    between :: Nullable Number -> Nullable Number -> Nullable Number
+const between = from => to => (from == null || to == null ? null : to - from);
+
+//    traceClientRequest :: (Trace -> Any) -> Object -> ClientRequest -> Undefined
+const traceClientRequest = trace => span => req => {
+  const started = performance.now ();
+  const start = Date.now ();
+  const timings = {
+    socket: null,
+    lookup: null,
+    connect: null,
+    secureConnect: null,
+    response: null,
+    end: null,
+  };
+  const mark = name => () => {
+    timings[name] = performance.now () - started;
+  };
+  const finish = (response, error) => {
+    const t = Object.assign ({}, timings);
+    const connected = t.secureConnect == null ?
+                      t.connect == null ? t.socket : t.connect :
+                      t.secureConnect;
+    trace (Object.assign ({}, span, {
+      response: response,
+      error: error,
+      start: start,
+      timings: t,
+      phases: {
+        wait: t.socket,
+        dns: between (t.socket) (t.lookup),
+        tcp: between (t.lookup == null ? t.socket : t.lookup) (t.connect),
+        tls: between (t.connect) (t.secureConnect),
+        firstByte: between (connected) (t.response),
+        download: between (t.response) (t.end),
+        total: performance.now () - started,
+      },
+    }));
+  };
+  req.once ('socket', socket => {
+    mark ('socket') ();
+    if (socket.connecting) {
+      socket.once ('lookup', mark ('lookup'));
+      socket.once ('connect', mark ('connect'));
+      socket.once ('secureConnect', mark ('secureConnect'));
+    }
+  });
+  req.once ('response', message => {
+    const response = Response (span.request) (message);
+    mark ('response') ();
+    message.once ('end', mark ('end'));
+    message.once ('close', () => finish (response, message.errored || null));
+  });
+  req.once ('error', e => finish (null, e));
+};
+
+//# sendRequest :: Request -> Future Error Response
+//.
+//. This is the "lowest level" function for making HTTP requests. It does not
+//. handle buffering, encoding, content negotiation, or anything really.
+//. For most use cases, you can use one of the more specialized functions:
+//.
+//. * [`send`](#send): Make a generic HTTP request.
+//. * [`retrieve`](#retrieve): Make a GET request.
+//.
+//. Given a [Request](#Request), returns a Future which makes an HTTP request
+//. and resolves with the resulting [Response](#Response).
+//. If the Future is cancelled, the request is aborted. If the request fails,
+//. the Future rejects with a [NetworkError](#NetworkError), or with a
+//. [TimeoutError](#TimeoutError).
+//.
+//. ```js
+//. const BinaryPostRequest = Request ({
+//.   method: 'POST',
+//.   headers: {'Transfer-Encoding': 'chunked'},
+//. });
+//.
+//. sendRequest (BinaryPostRequest ('https://example.com')
+//.                               (fileStream ('./data.bin')));
 //. ```
 //.
 //. If you want to use this function to transfer a stream of data, don't forget
 //. to set the Transfer-Encoding header to "chunked".
 export const sendRequest = request => {
-  const location = new URL (Request.url (request));
-  const makeRequest = lib => stream => Future ((rej, res) => {
-    const req = lib.request (location, cleanRequestOptions (request));
-    const onResponse = response => res (Response (request) (response));
+  const options = Request.options (request);
+  const parent = options.trace == null ? null : parseTraceparent (request);
+  const makeRequest = span => create => stream => Future ((rej, res) => {
+    const aborts = [];
+    let req = null;
+    try {
+      req = create (aborts);
+    } catch (e) {
+      stream.destroy ();
+      rej (e);
+      return () => {};
+    }
+    if (options.trace != null) {
+      traceClientRequest (options.trace) (span) (req);
+    }
+    let message = null;
+    let stopResponseTimer = () => {};
+    const abort = phase => timeout => () => {
+      if (message == null) {
+        const error = new TimeoutError (phase, timeout, request, null);
+        req.destroy (error);
+        aborts.forEach (f => { f (error); });
+      } else {
+        message.destroy (new TimeoutError (
+          phase, timeout, request, Response (request) (message)
+        ));
+      }
+    };
+    const stopConnectTimer = startTimer (options.connectTimeout)
+                                        (abort ('connect')
+                                               (options.connectTimeout));
+    const stopTotalTimer = startTimer (options.totalTimeout)
+                                      (abort ('total') (options.totalTimeout));
+    const stopTimers = () => {
+      stopConnectTimer ();
+      stopResponseTimer ();
+      stopTotalTimer ();
+    };
+    const onSocket = socket => {
+      if (socket.connecting) {
+        socket.once ('connect', stopConnectTimer);
+      } else {
+        stopConnectTimer ();
+      }
+    };
+    const onFinish = () => {
+      stopResponseTimer = startTimer (options.responseTimeout)
+                                     (abort ('response')
+                                            (options.responseTimeout));
+    };
+    const onTimeout = abort ('idle') (options.timeout);
+    const onError = e => {
+      stopTimers ();
+      rej (e instanceof HttpError ? e : new NetworkError (e, request));
+    };
+    const onResponse = response => {
+      message = response;
+      stopConnectTimer ();
+      stopResponseTimer ();
+      response.once ('end', stopTotalTimer);
+      response.once ('close', stopTotalTimer);
+      res (Response (request) (response));
+    };
+    req.once ('socket', onSocket);
+    req.once ('finish', onFinish);
     req.once ('response', onResponse);
-    pipeline (stream, req, e => e && rej (e));
+    req.on ('timeout', onTimeout);
+    req.on ('error', onError);
+    if (options.onProgress == null) {
+      streamPipeline (stream, req, e => e && onError (e));
+    } else {
+      const {headers} = cleanRequestOptions (request);
+      const track = progressTracker ('upload')
+                                    (contentLength (headers))
+                                    (options.onProgress);
+      const progress = new Transform ({
+        transform: (chunk, encoding, callback) => {
+          track (chunk.length);
+          callback (null, chunk);
+        },
+      });
+      streamPipeline (stream, progress, req, e => e && onError (e));
+    }
     return () => {
+      stopTimers ();
       req.removeListener ('response', onResponse);
       req.abort ();
+      aborts.forEach (f => { f (null); });
     };
   });
-  return (
-    getRequestModule (location.protocol)
-    .pipe (map (makeRequest))
+  const send = span => (
+    createClientRequest (parent == null ? request : setHeader ('traceparent') (
+      `00-${span.traceId}-${span.spanId}-${parent.flags}`
+    ) (request))
+    .pipe (map (makeRequest (span)))
     .pipe (pap (Request.body (request)))
     .pipe (chain (x => x))
   );
+  return attempt (() => ({
+    request: request,
+    traceId: parent == null ? null : parent.traceId,
+    parentId: parent == null ? null : parent.parentId,
+    spanId: parent == null ? null : randomBytes (8).toString ('hex'),
+  })).pipe (chain (send));
+};
+
+//# traceRequest :: (Trace -> Any) -> Request -> Request
+//.
+//. Returns a new Request which, when sent, calls the given function with a
+//. Trace describing the lifecycle of the request. The trace is emitted once,
+//. after the response body has been consumed or discarded, or after the
+//. request has failed. Because the option is kept when following redirects,
+//. every hop performed by [`followRedirectsWith`](#followRedirectsWith) is
+//. traced separately, with its own timings.
+//.
+//. A Trace is an Object with the following properties:
+//.
+//. - `request`: The [Request](#Request) that was sent.
+//. - `response`: The [Response](#Response), or `null` if the request failed
+//.   before one was received.
+//. - `error`: The Error which caused the request or its body to fail, or
+//.   `null`.
+//. - `traceId`, `parentId` and `spanId`: The hexadecimal identifiers of the
+//.   [W3C Trace Context][] this request belongs to, or `null`.
+//. - `start`: The time at which the request started, in milliseconds since
+//.   the epoch.
+//. - `timings`: The number of milliseconds after `start` at which the
+//.   `socket` was assigned, the host name `lookup` finished, the connection
+//.   was established (`connect`), the TLS handshake finished
+//.   (`secureConnect`), the `response` headers arrived, and the response body
+//.   `end`ed. Events which did not occur, such as `lookup` and `connect` on
+//.   a reused connection, are `null`.
+//. - `phases`: The durations derived from these timings: `wait`, `dns`,
+//.   `tcp`, `tls`, `firstByte`, `download`, and the `total` duration.
+//.
+//. Besides setting the `trace` option, this function ensures the Request
+//. has a `traceparent` header. If it already has one, for example because
+//. it was copied from an incoming request, its trace is continued.
+//. Otherwise, a new trace is started. Every time the Request is sent, a new
+//. span identifier is generated and sent in the `traceparent` header, so that
+//. each hop shows up as a child of the same parent. Requests which were given
+//. a `trace` option directly, without a valid `traceparent` header, are
+//. timed, but no header is sent.
+//.
+//. ```js
+//. const logTrace = traceRequest (trace => {
+//.   console.log (trace.traceId, trace.spanId, trace.phases.total);
+//. });
+//.
+//. sendRequest (logTrace (Request ({}) ('https://example.com') (emptyStream)))
+//. ```
+export const traceRequest = trace => request => {
+  const traced = mapOptions (options => Object.assign (options, {trace}))
+                            (request);
+  return parseTraceparent (request) == null ? setHeader ('traceparent') (
+    `00-${randomBytes (16).toString ('hex')}-` +
+    `${randomBytes (8).toString ('hex')}-01`
+  ) (traced) : traced;
+};
+
+//# Http2Agent :: Object -> Http2Agent
+//.
+//. Constructs a value of type Http2Agent: a pool of HTTP/2 sessions, to be
+//. given as the `http2` option of a [Request](#Request). Takes an Object of
+//. options for [`http2.connect`][], such as `ca`.
+//.
+//. A session is created when the first request to an origin is sent, and
+//. is reused by later requests to that origin, until the server closes it.
+//. Because open sessions keep the process alive, the Http2Agent should be
+//. closed using [`closeHttp2Agent`](#closeHttp2Agent) once it is no longer
+//. needed.
+//.
+//. ```js
+//. const agent = Http2Agent ({});
+//.
+//. sendRequest (Request ({http2: agent}) ('https://example.com') (emptyStream))
+//. .pipe (chain (bufferResponse ('utf8')))
+//. .pipe (chain (body => closeHttp2Agent (agent).pipe (map (() => body))))
+//. ```
+export const Http2Agent = options => ({options, sessions: new Map ()});
+
+//# closeHttp2Agent :: Http2Agent -> Future Error Undefined
+//.
+//. Gracefully closes the sessions of the given Http2Agent. The returned
+//. Future resolves once the requests in flight have completed, and all
+//. sessions have been closed.
+export const closeHttp2Agent = agent => (
+  parallel (Infinity) (Array.from (agent.sessions.values (), session => (
+    node (done => {
+      if (session.destroyed) {
+        done (null);
+      } else {
+        session.close (() => done (null));
+      }
+    })
+  )))
+  .pipe (map (() => undefined))
+);
+
+//    bypassesProxy :: String -> URL -> Boolean
+const bypassesProxy = noProxy => location => {
+  const hostname = location.hostname.toLowerCase ();
+  const port = location.port || (
+    location.protocol === 'https:' ? '443' : '80'
+  );
+  return noProxy.toLowerCase ().split (/[\s,]+/).some (entry => {
+    const [, host, entryPort] = /^(.*?)(?::(\d+))?$/.exec (entry);
+    const domain = host.replace (/^\*?\./, '');
+    return entry === '*' || domain !== '' && (
+      entryPort == null || entryPort === port
+    ) && (
+      hostname === domain || hostname.endsWith ('.' + domain)
+    );
+  });
+};
+
+//# proxyFromEnv :: StrMap String -> Request -> Request
+//.
+//. Configure the `proxy` option of a [Request](#Request) from a StrMap of
+//. environment variables, such as `process.env`, following the conventions
+//. used by tools like curl:
+//.
+//. - `http_proxy` or `HTTP_PROXY`: The proxy to use for `http:` URLs.
+//. - `https_proxy` or `HTTPS_PROXY`: The proxy to use for `https:` URLs.
+//. - `no_proxy` or `NO_PROXY`: A comma or space separated list of host
+//.   names which should be connected to directly. Each entry matches the
+//.   host itself and its subdomains, and may be limited to a single port by
+//.   suffixing it with `:port`. A single `*` disables the proxy entirely.
+//.
+//. The lower-cased variables take precedence. Proxy URLs without a protocol
+//. are assumed to use `http:`. Requests which already specify a `proxy` are
+//. returned as they are.
+//.
+//. ```js
+//. sendRequest (proxyFromEnv (process.env) (request))
+//. ```
+export const proxyFromEnv = env => request => {
+  const options = Request.options (request);
+  const location = new URL (Request.url (request));
+  const name = location.protocol.slice (0, -1) + '_proxy';
+  const proxy = env[name] || env[name.toUpperCase ()];
+  const noProxy = env.no_proxy || env.NO_PROXY || '';
+  return (
+    options.proxy != null || !proxy || bypassesProxy (noProxy) (location) ?
+    request :
+    mapOptions (x => Object.assign (x, {
+      proxy: /^[a-z][a-z\d+.-]*:\/\//i.test (proxy) ? proxy : 'http://' + proxy,
+    })) (request)
+  );
+};
+
+//# Client :: Array Middleware -> Client
+//.
+//. Constructs a value of type Client from an Array of middleware. A
+//. Middleware is a function of type
+//. `(Request -> Future Error Response) -> Request -> Future Error Response`:
+//. it takes the function used to send a Request, and returns a new function
+//. of that type. Typically one which alters the Request before passing it
+//. on, or which does something with the Response it receives.
+//.
+//. The first middleware in the Array is the outermost one: it sees every
+//. Request first and every Response last. At the core of the stack is
+//. [`sendRequest`](#sendRequest).
+//.
+//. Functions such as [`retrieveVia`](#retrieveVia) send their requests
+//. through the stack of a Client. This includes the requests made by
+//. [`followRedirectsVia`](#followRedirectsVia) and [`retryVia`](#retryVia)
+//. to follow redirects or to retry, so middleware applies to every hop.
+//.
+//. ```js
+//. const withToken = token => next => request => (
+//.   next (setHeader ('Authorization') (`Bearer ${token}`) (request))
+//. );
+//.
+//. const client = Client ([withToken ('asd123')]);
+//.
+//. retrieveVia (client) ('https://example.com') ({})
+//. .pipe (chain (followRedirectsVia (client) (defaultRedirectionPolicy) (3)))
+//. ```
+export const Client = middlewares => ({middlewares});
+
+//# Client.middlewares :: Client -> Array Middleware
+//.
+//. Get the middleware out of a Client.
+Client.middlewares = ({middlewares}) => middlewares;
+
+//    defaultClient :: Client
+const defaultClient = Client ([]);
+
+//# sendRequestVia :: Client -> Request -> Future Error Response
+//.
+//. A version of [`sendRequest`](#sendRequest) which sends the Request
+//. through the middleware of the given [Client](#Client).
+export const sendRequestVia = client => (
+  Client.middlewares (client)
+  .reduceRight ((next, middleware) => middleware (next), sendRequest)
+);
+
+//    tokenBucket :: Object -> Number -> Number
+//
+//    Returns a function which takes a token at the given time, returning
+//    zero when it succeeds, or the milliseconds until a token is available.
+const tokenBucket = ({requests, interval}) => {
+  let tokens = requests;
+  let last = Date.now ();
+  return now => {
+    tokens = Math.min (requests, tokens + (now - last) * requests / interval);
+    last = now;
+    if (tokens >= 1) {
+      tokens -= 1;
+      return 0;
+    }
+    return Math.ceil ((1 - tokens) * interval / requests);
+  };
+};
+
+//# scheduler :: Object -> Middleware
+//.
+//. Creates a [Middleware](#Client) which queues the requests passing
+//. through it, and only lets them through when the limits given in the
+//. options Object allow it. All requests passing through the returned
+//. middleware share its queue and limits. The following options are
+//. supported:
+//.
+//. - `concurrency`: The maximum number of requests in flight at the same
+//.   time. Defaults to `Infinity`.
+//. - `perOrigin`: The maximum number of requests in flight to the same
+//.   origin at the same time. Defaults to `Infinity`. Requests to an origin
+//.   that is at its limit don't hold up queued requests to other origins.
+//. - `priority`: A function from a Request to a Number. Requests with a
+//.   higher priority are let through first, and requests with the same
+//.   priority are let through in the order they were queued. By default,
+//.   all requests have the same priority.
+//. - `rateLimit`: An Object with `requests` and `interval` properties that
+//.   limits the rate at which requests are let through, using a token
+//.   bucket which holds up to `requests` tokens, and gains that many tokens
+//.   every `interval` milliseconds.
+//. - `onEvent`: A function which is called with an Object describing every
+//.   change to the queue, to observe back-pressure. Its `type` is one of
+//.   `'queued'`, `'started'`, `'finished'`, or `'cancelled'`, its `request`
+//.   is the Request concerned, and `queued` and `active` hold the number of
+//.   requests waiting and in flight after the change. Events of type
+//.   `'started'` also have a `wait` property with the number of milliseconds
+//.   the request spent in the queue.
+//.
+//. A request is considered in flight until its Future rejects, or until
+//. the body of its Response has been consumed or destroyed. Cancelling the
+//. Future of a queued request removes it from the queue.
+//.
+//. ```js
+//. const client = Client ([scheduler ({concurrency: 16, perOrigin: 4})]);
+//.
+//. parallel (Infinity) (urls.map (url => retrieveVia (client) (url) ({})))
+//. ```
+export const scheduler = options => {
+  const concurrency = options.concurrency == null ?
+                      Infinity :
+                      options.concurrency;
+  const perOrigin = options.perOrigin == null ? Infinity : options.perOrigin;
+  const priority = options.priority == null ? () => 0 : options.priority;
+  const onEvent = options.onEvent == null ? () => {} : options.onEvent;
+  const takeToken = options.rateLimit == null ?
+                    () => 0 :
+                    tokenBucket (options.rateLimit);
+  const queue = [];
+  const running = Object.create (null);
+  let active = 0;
+  let stopTimer = () => {};
+
+  const emit = (type, job, extra) => {
+    onEvent (Object.assign ({
+      type: type,
+      request: job.request,
+      queued: queue.length,
+      active: active,
+    }, extra));
+  };
+
+  const dispatch = () => {
+    stopTimer ();
+    while (active < concurrency) {
+      const index = queue.findIndex (job => (
+        (running[job.origin] || 0) < perOrigin
+      ));
+      if (index < 0) {
+        return;
+      }
+      const wait = takeToken (Date.now ());
+      if (wait > 0) {
+        stopTimer = startTimer (wait) (dispatch);
+        return;
+      }
+      const [job] = queue.splice (index, 1);
+      active += 1;
+      running[job.origin] = (running[job.origin] || 0) + 1;
+      job.start ();
+    }
+  };
+
+  return next => request => attempt (() => ({
+    request: request,
+    origin: new URL (Request.url (request)).origin,
+    priority: priority (request),
+    start: null,
+  })).pipe (chain (job => Future ((rej, res) => {
+    const queuedAt = Date.now ();
+    let cancel = null;
+    let released = false;
+
+    const release = () => {
+      if (!released) {
+        released = true;
+        active -= 1;
+        running[job.origin] -= 1;
+        if (running[job.origin] === 0) {
+          delete running[job.origin];
+        }
+        emit ('finished', job);
+        dispatch ();
+      }
+    };
+
+    job.start = () => {
+      emit ('started', job, {wait: Date.now () - queuedAt});
+      const sent = attempt (() => next (request)).pipe (chain (x => x));
+      cancel = sent.pipe (fork (e => {
+        release ();
+        rej (e);
+      }) (response => {
+        const message = Response.message (response);
+        message.once ('end', release);
+        message.once ('close', release);
+        res (response);
+      }));
+    };
+
+    const index = queue.findIndex (x => x.priority < job.priority);
+    queue.splice (index < 0 ? queue.length : index, 0, job);
+    emit ('queued', job);
+    dispatch ();
+
+    return () => {
+      if (cancel == null) {
+        queue.splice (queue.indexOf (job), 1);
+        emit ('cancelled', job);
+        dispatch ();
+      } else {
+        cancel ();
+        release ();
+      }
+    };
+  })));
+};
+
+//# circuitBreaker :: Object -> EventEmitter -> Middleware
+//.
+//. Creates a [Middleware](#Client) which stops sending requests to origins
+//. that keep failing. A failure is a rejection, or a Response for which the
+//. `isFailure` option returns `true`. Every origin has its own circuit,
+//. which is in one of three states:
+//.
+//. - `'closed'`: Requests are sent. When `failureThreshold` requests in a
+//.   row have failed, the circuit opens.
+//. - `'open'`: Requests are rejected immediately with a
+//.   [CircuitOpenError](#CircuitOpenError). Once `coolDown` milliseconds
+//.   have passed, the next request moves the circuit to half-open.
+//. - `'half-open'`: Up to `halfOpenRequests` trial requests at a time are
+//.   sent, and others are rejected with a CircuitOpenError. When a trial
+//.   fails, the circuit opens again. When `successThreshold` trials have
+//.   succeeded, the circuit closes.
+//.
+//. The options Object may contain the following, all of which are optional:
+//.
+//. - `failureThreshold`: Defaults to `5`.
+//. - `coolDown`: Defaults to `30000`.
+//. - `halfOpenRequests`: Defaults to `1`.
+//. - `successThreshold`: Defaults to `1`.
+//. - `isFailure`: A function from a Response to a Boolean, for which
+//.   [`matchStatus`](#matchStatus) can be used. By default, Responses with
+//.   a status code of 500 or higher are failures.
+//.
+//. Whenever a circuit changes state, an event named after the new state is
+//. emitted over the given EventEmitter, with an Object holding the `origin`
+//. and the previous and new states under `from` and `to`. This allows
+//. [`once`](#once) to be used to wait for a state change.
+//.
+//. ```js
+//. import {EventEmitter} from 'events';
+//.
+//. const circuits = new EventEmitter ();
+//. const client = Client ([circuitBreaker ({coolDown: 10000}) (circuits)]);
+//.
+//. retrieveVia (client) ('https://example.com') ({});
+//.
+//. once ('open') (circuits)
+//. .pipe (map (({origin}) => `Stopped sending requests to ${origin}`))
+//. ```
+export const circuitBreaker = options => emitter => {
+  const failureThreshold = options.failureThreshold == null ?
+                           5 :
+                           options.failureThreshold;
+  const coolDown = options.coolDown == null ? 30000 : options.coolDown;
+  const halfOpenRequests = options.halfOpenRequests == null ?
+                           1 :
+                           options.halfOpenRequests;
+  const successThreshold = options.successThreshold == null ?
+                           1 :
+                           options.successThreshold;
+  const isFailure = options.isFailure == null ?
+                    response => Response.message (response).statusCode >= 500 :
+                    options.isFailure;
+  const circuits = new Map ();
+
+  const circuitOf = origin => {
+    if (!(circuits.has (origin))) {
+      circuits.set (origin, {
+        origin: origin,
+        state: 'closed',
+        epoch: 0,
+        failures: 0,
+        successes: 0,
+        trials: 0,
+        openedAt: 0,
+      });
+    }
+    return circuits.get (origin);
+  };
+
+  //    transition :: Circuit -> String -> () -> Undefined
+  //
+  //    Changes the state of the circuit, and returns a function that emits
+  //    the corresponding event.
+  const transition = circuit => to => {
+    const from = circuit.state;
+    Object.assign (circuit, {
+      state: to,
+      epoch: circuit.epoch + 1,
+      failures: 0,
+      successes: 0,
+      trials: 0,
+      openedAt: to === 'open' ? Date.now () : circuit.openedAt,
+    });
+    return () => {
+      emitter.emit (to, {origin: circuit.origin, from, to});
+    };
+  };
+
+  const onOutcome = circuit => epoch => failed => {
+    if (circuit.epoch !== epoch) {
+      return;
+    }
+    if (circuit.state === 'half-open') {
+      circuit.trials -= 1;
+      circuit.successes += failed ? 0 : 1;
+      if (failed) {
+        transition (circuit) ('open') ();
+      } else if (circuit.successes >= successThreshold) {
+        transition (circuit) ('closed') ();
+      }
+    } else {
+      circuit.failures = failed ? circuit.failures + 1 : 0;
+      if (circuit.failures >= failureThreshold) {
+        transition (circuit) ('open') ();
+      }
+    }
+  };
+
+  return next => request => attempt (() => (
+    circuitOf (new URL (Request.url (request)).origin)
+  )).pipe (chain (circuit => {
+    const cooledDown = Date.now () - circuit.openedAt >= coolDown;
+    const announce = circuit.state === 'open' && cooledDown ?
+                     transition (circuit) ('half-open') :
+                     () => {};
+    if (circuit.state === 'open' ||
+        circuit.state === 'half-open' && circuit.trials >= halfOpenRequests) {
+      return reject (new CircuitOpenError (circuit.origin, request));
+    }
+    const {epoch} = circuit;
+    const settle = onOutcome (circuit) (epoch);
+    circuit.trials += circuit.state === 'half-open' ? 1 : 0;
+    announce ();
+    return Future ((rej, res) => {
+      const sent = attempt (() => next (request)).pipe (chain (x => x));
+      const cancel = sent.pipe (fork (e => {
+        settle (true);
+        rej (e);
+      }) (response => {
+        let failed = true;
+        try {
+          failed = isFailure (response);
+        } catch (e) {
+          settle (true);
+          rej (e);
+          return;
+        }
+        settle (failed);
+        res (response);
+      }));
+      return () => {
+        cancel ();
+        if (circuit.epoch === epoch && circuit.state === 'half-open') {
+          circuit.trials -= 1;
+        }
+      };
+    });
+  }));
 };
 
 //# retrieve :: Url -> StrMap String -> Future Error Response
@@ -429,8 +2172,14 @@ export const sendRequest = request => {
 //. ```js
 //. retrieve ('https://api.github.com/users/Avaq') ({'User-Agent': 'Avaq'})
 //. ```
-export const retrieve = url => headers => (
-  sendRequest (Request ({headers}) (url) (emptyStream))
+export const retrieve = url => retrieveVia (defaultClient) (url);
+
+//# retrieveVia :: Client -> Url -> StrMap String -> Future Error Response
+//.
+//. A version of [`retrieve`](#retrieve) which sends the request through the
+//. given [Client](#Client).
+export const retrieveVia = client => url => headers => (
+  sendRequestVia (client) (Request ({headers}) (url) (emptyStream))
 );
 
 //# send :: Mimetype -> Method -> Url -> StrMap String -> Buffer -> Future Error Response
@@ -441,6 +2190,7 @@ export const retrieve = url => headers => (
 //.
 //. * [`sendJson`](#sendJson) sends JSON stringified data.
 //. * [`sendForm`](#sendForm) sends form encoded data.
+//. * [`sendMultipart`](#sendMultipart) sends multipart data, such as files.
 //.
 //. Given a MIME type, a request method, a URL, a StrMap of headers, and
 //. finally a Buffer, returns a Future which will send the Buffer to the
@@ -450,13 +2200,22 @@ export const retrieve = url => headers => (
 //. This function will always send the Content-Type and Content-Length headers,
 //. alongside the provided headers. Manually provoding either of these headers
 //. override those generated by this function.
-export const send = mime => method => url => extraHeaders => buf => {
-  const headers = Object.assign ({
-    'Content-Type': mime,
-    'Content-Length': buf.byteLength,
-  }, extraHeaders);
-  return sendRequest (Request ({method, headers}) (url) (streamOf (buf)));
-};
+export const send = mime => sendVia (defaultClient) (mime);
+
+//# sendVia :: Client -> Mimetype -> Method -> Url -> StrMap String -> Buffer -> Future Error Response
+//.
+//. A version of [`send`](#send) which sends the request through the given
+//. [Client](#Client).
+export const sendVia = client => mime => method => url => extraHeaders => (
+  buf => {
+    const headers = Object.assign ({
+      'Content-Type': mime,
+      'Content-Length': buf.byteLength,
+    }, extraHeaders);
+    return sendRequestVia (client)
+                          (Request ({method, headers}) (url) (streamOf (buf)));
+  }
+);
 
 //# sendJson :: Method -> String -> StrMap String -> JsonValue -> Future Error Response
 //.
@@ -472,9 +2231,15 @@ export const send = mime => method => url => extraHeaders => buf => {
 //.          ({Authorization: 'Bearer asd123'})
 //.          ({name: 'Bob', email: 'bob@example.com'});
 //. ```
-export const sendJson = method => url => headers => json => {
+export const sendJson = method => sendJsonVia (defaultClient) (method);
+
+//# sendJsonVia :: Client -> Method -> String -> StrMap String -> JsonValue -> Future Error Response
+//.
+//. A version of [`sendJson`](#sendJson) which sends the request through the
+//. given [Client](#Client).
+export const sendJsonVia = client => method => url => headers => json => {
   const buf = Buffer.from (JSON.stringify (json));
-  return send (mimeTypes.json) (method) (url) (headers) (buf);
+  return sendVia (client) (mimeTypes.json) (method) (url) (headers) (buf);
 };
 
 //# sendForm :: Method -> String -> StrMap String -> JsonValue -> Future Error Response
@@ -491,30 +2256,279 @@ export const sendJson = method => url => headers => json => {
 //.          ({})
 //.          ({name: 'Bob', email: 'bob@example.com'});
 //. ```
-export const sendForm = method => url => headers => form => {
+export const sendForm = method => sendFormVia (defaultClient) (method);
+
+//# sendFormVia :: Client -> Method -> String -> StrMap String -> JsonValue -> Future Error Response
+//.
+//. A version of [`sendForm`](#sendForm) which sends the request through the
+//. given [Client](#Client).
+export const sendFormVia = client => method => url => headers => form => {
   const buf = Buffer.from (qs.stringify (form));
-  return send (mimeTypes.form) (method) (url) (headers) (buf);
+  return sendVia (client) (mimeTypes.form) (method) (url) (headers) (buf);
 };
 
-//# matchStatus :: (Response -> a) -> StrMap (Response -> a) -> Response -> a
+//# sendFile :: Mimetype -> Method -> Url -> StrMap String -> String -> Future Error Response
 //.
-//. Transform a [`Response`](#Response) based on its status code.
+//. A version of [`send`](#send) which streams the contents of the file at
+//. the given path to the server, rather than a Buffer. The Content-Length
+//. header is taken from the size of the file, as given by
+//. [`statFile`](#statFile), and the file is read using
+//. [`fileStream`](#fileStream). Manually provided headers override those
+//. generated by this function.
 //.
 //. ```js
-//. import {chain} from 'fluture';
+//. sendFile ('image/png') ('PUT') ('https://example.com/bob.png') ({})
+//.          ('./bob.png')
+//. ```
+export const sendFile = mime => sendFileVia (defaultClient) (mime);
+
+//# sendFileVia :: Client -> Mimetype -> Method -> Url -> StrMap String -> String -> Future Error Response
 //.
-//. const processResponse = matchStatus (responseToError) ({
-//.   200: autoBufferResponse,
-//. });
+//. A version of [`sendFile`](#sendFile) which sends the request through the
+//. given [Client](#Client).
+export const sendFileVia = client => mime => method => url => extraHeaders => (
+  path => statFile (path).pipe (chain (stats => {
+    const headers = Object.assign ({
+      'Content-Type': mime,
+      'Content-Length': stats.size,
+    }, extraHeaders);
+    const body = fileStream (path);
+    return sendRequestVia (client) (Request ({method, headers}) (url) (body));
+  }))
+);
+
+//# Part :: StrMap String -> Nullable Number -> Future Error (Readable Buffer) -> Part
 //.
-//. chain (processResponse) (retreive ('https://example.com'));
-//. ```
+//. Constructs a value of type Part, which represents a single part of a
+//. multipart body, to be sent using [`sendMultipart`](#sendMultipart).
+//. Takes the following arguments:
 //.
-//. This is kind of like a `switch` statement on the status code of the
-//. Response message. Or, if you will, a pattern match against the
-//. Response type if you imagine it being tagged via the status code.
+//. 1. A StrMap of part headers, such as Content-Disposition.
+//. 2. The size of the part body in bytes, or `null` if it is unknown.
+//. 3. A Future of a [Readable][] stream of [Buffer][]s to be used as the
+//.    part body. Like with [`Request.body`](#Request.body), the Future must
+//.    produce a brand new Stream every time it is forked.
 //.
-//. The first argument is the "default" case, and the second argument is a
+//. See [`fieldPart`](#fieldPart) and [`filePart`](#filePart) for the most
+//. common types of parts.
+export const Part = headers => size => body => ({headers, size, body});
+
+//# Part.headers :: Part -> StrMap String
+//.
+//. Get the headers out of a Part.
+Part.headers = ({headers}) => headers;
+
+//# Part.size :: Part -> Nullable Number
+//.
+//. Get the size out of a Part.
+Part.size = ({size}) => size;
+
+//# Part.body :: Part -> Future Error (Readable Buffer)
+//.
+//. Get the body out of a Part.
+Part.body = ({body}) => body;
+
+//    escapeDispositionValue :: String -> String
+const escapeDispositionValue = value => (
+  value.replace (/"/g, '%22').replace (/\r/g, '%0D').replace (/\n/g, '%0A')
+);
+
+//# fieldPart :: String -> String -> Part
+//.
+//. Given a name and a value, constructs a [Part](#Part) representing a
+//. simple form field.
+export const fieldPart = name => value => {
+  const buf = Buffer.from (value);
+  return Part ({
+    'Content-Disposition': (
+      `form-data; name="${escapeDispositionValue (name)}"`
+    ),
+  }) (buf.byteLength) (streamOf (buf));
+};
+
+//# filePart :: String -> String -> Mimetype -> Nullable Number -> Future Error (Readable Buffer) -> Part
+//.
+//. Given a field name, a file name, a MIME type, the size of the file in
+//. bytes (or `null` when it is unknown), and a Future of the file contents,
+//. constructs a [Part](#Part) representing a file upload.
+//.
+//. ```js
+//. import {createReadStream} from 'fs';
+//.
+//. filePart ('avatar')
+//.          ('bob.png')
+//.          ('image/png')
+//.          (null)
+//.          (attempt (() => createReadStream ('./bob.png')));
+//. ```
+export const filePart = name => filename => mime => size => body => Part ({
+  'Content-Disposition': `form-data; name="${escapeDispositionValue (name)}"`
+                       + `; filename="${escapeDispositionValue (filename)}"`,
+  'Content-Type': mime,
+}) (size) (body);
+
+//    partHeader :: String -> Part -> Buffer
+const partHeader = boundary => part => Buffer.from (
+  `--${boundary}\r\n`
+  + Object.entries (Part.headers (part))
+    .map (([name, value]) => `${name}: ${value}\r\n`)
+    .join ('')
+  + '\r\n'
+);
+
+//    multipartEnd :: String -> Buffer
+const multipartEnd = boundary => Buffer.from (`--${boundary}--\r\n`);
+
+//    partSeparator :: Buffer
+const partSeparator = Buffer.from ('\r\n');
+
+//    multipartLength :: String -> Array Part -> Nullable Number
+const multipartLength = boundary => parts => (
+  parts.some (part => Part.size (part) == null) ? null : parts.reduce (
+    (length, part) => (
+      length
+      + partHeader (boundary) (part).byteLength
+      + Part.size (part)
+      + partSeparator.byteLength
+    ),
+    multipartEnd (boundary).byteLength
+  )
+);
+
+//    multipartStream :: String -> Array Part -> Readable Buffer
+const multipartStream = boundary => parts => {
+  let index = 0;
+  let current = null;
+  let waiting = false;
+  let cancel = () => {};
+  const next = () => {
+    if (index === parts.length) {
+      stream.push (multipartEnd (boundary));
+      stream.push (null);
+      return;
+    }
+    const part = parts[index];
+    index += 1;
+    waiting = true;
+    stream.push (partHeader (boundary) (part));
+    cancel = Part.body (part).pipe (fork (e => { stream.destroy (e); })
+                                         (body => {
+      waiting = false;
+      current = body;
+      body.on ('data', chunk => {
+        if (!(stream.push (chunk))) {
+          body.pause ();
+        }
+      });
+      body.once ('end', () => {
+        current = null;
+        stream.push (partSeparator);
+        next ();
+      });
+      body.once ('error', e => { stream.destroy (e); });
+    }));
+  };
+  const stream = new Readable ({
+    read: () => {
+      if (current != null) {
+        current.resume ();
+      } else if (!waiting) {
+        next ();
+      }
+    },
+    destroy: (e, callback) => {
+      cancel ();
+      if (current != null) {
+        current.destroy ();
+      }
+      callback (e);
+    },
+  });
+  return stream;
+};
+
+//# sendMultipart :: Method -> Url -> StrMap String -> Array Part -> Future Error Response
+//.
+//. A version of [`sendRequest`](#sendRequest) specialized in sending
+//. `multipart/form-data`, as used for uploading files.
+//.
+//. Given a request method, a URL, a StrMap of headers and an Array of
+//. [Part](#Part)s, returns a Future which sends the parts to the server at
+//. the given URL, separated by a randomly generated boundary. The part
+//. bodies are streamed one after the other, without buffering them.
+//.
+//. When the size of every part is known, the Content-Length header is sent.
+//. Otherwise, the body is sent using chunked transfer encoding. Manually
+//. provided headers override those generated by this function.
+//.
+//. Part headers are validated like request headers: when a name or value
+//. contains characters which are not allowed, such as a line break, the
+//. Future rejects with a TypeError.
+//.
+//. ```js
+//. import {createReadStream} from 'fs';
+//.
+//. sendMultipart ('POST') ('https://example.com/upload') ({}) ([
+//.   fieldPart ('description') ('A picture of Bob'),
+//.   filePart ('avatar')
+//.            ('bob.png')
+//.            ('image/png')
+//.            (null)
+//.            (attempt (() => createReadStream ('./bob.png'))),
+//. ]);
+//. ```
+export const sendMultipart = method => (
+  sendMultipartVia (defaultClient) (method)
+);
+
+//# sendMultipartVia :: Client -> Method -> Url -> StrMap String -> Array Part -> Future Error Response
+//.
+//. A version of [`sendMultipart`](#sendMultipart) which sends the request
+//. through the given [Client](#Client).
+export const sendMultipartVia = client => method => url => extraHeaders => (
+  parts => attempt (() => {
+    parts.forEach (part => {
+      Object.entries (Part.headers (part)).forEach (([name, value]) => {
+        http.validateHeaderName (name);
+        http.validateHeaderValue (name, value);
+      });
+    });
+    return randomBytes (16).toString ('hex');
+  })
+  .pipe (chain (random => {
+    const boundary = '----FlutureNodeBoundary' + random;
+    const length = multipartLength (boundary) (parts);
+    const headers = Object.assign (
+      {'Content-Type': `${mimeTypes.multipart}; boundary=${boundary}`},
+      length == null ?
+      {'Transfer-Encoding': 'chunked'} :
+      {'Content-Length': length},
+      extraHeaders
+    );
+    const body = attempt (() => multipartStream (boundary) (parts));
+    return sendRequestVia (client) (Request ({method, headers}) (url) (body));
+  }))
+);
+
+//# matchStatus :: (Response -> a) -> StrMap (Response -> a) -> Response -> a
+//.
+//. Transform a [`Response`](#Response) based on its status code.
+//.
+//. ```js
+//. import {chain} from 'fluture';
+//.
+//. const processResponse = matchStatus (responseToError) ({
+//.   200: autoBufferResponse,
+//. });
+//.
+//. chain (processResponse) (retreive ('https://example.com'));
+//. ```
+//.
+//. This is kind of like a `switch` statement on the status code of the
+//. Response message. Or, if you will, a pattern match against the
+//. Response type if you imagine it being tagged via the status code.
+//.
+//. The first argument is the "default" case, and the second argument is a
 //. map of status codes to functions that should have the same type as the
 //. first argument.
 //.
@@ -549,16 +2563,6 @@ const sameOrigin = (parent, child) => {
          (p.host === c.host || c.host.endsWith ('.' + p.host));
 };
 
-// overHeaders :: (Request, Array2 String String -> Array2 String String)
-//             -> Request
-const overHeaders = (request, f) => {
-  const options = cleanRequestOptions (request);
-  const headers = Object.fromEntries (f (Object.entries (options.headers)));
-  return Request (Object.assign ({}, Request.options (request), {headers}))
-                 (Request.url (request))
-                 (Request.body (request));
-};
-
 // confidentialHeaders :: Array String
 const confidentialHeaders = [
   'authorization',
@@ -572,7 +2576,9 @@ const confidentialHeaders = [
 //. Location specified in the given Response.
 //.
 //. If the new location is on an external host, then any confidential headers
-//. (such as the cookie header) will be dropped from the new request.
+//. (such as the cookie header) will be dropped from the new request. This
+//. includes the Proxy-Authorization header, so credentials for a proxy that
+//. should survive such redirects belong in the `proxy` option instead.
 //.
 //. Used in the [`defaultRedirectionPolicy`](#defaultRedirectionPolicy) and
 //. the [`aggressiveRedirectionPolicy`](#aggressiveRedirectionPolicy).
@@ -585,9 +2591,9 @@ export const redirectAnyRequest = response => {
                           (newUrl)
                           (Request.body (original));
 
-  return sameOrigin (oldUrl, newUrl) ? request : overHeaders (request, xs => (
+  return sameOrigin (oldUrl, newUrl) ? request : mapHeaders (xs => (
     xs.filter (([name]) => !confidentialHeaders.includes (name.toLowerCase ()))
-  ));
+  )) (request);
 };
 
 //# redirectIfGetMethod :: Response -> Request
@@ -623,11 +2629,8 @@ export const redirectIfGetMethod = response => {
 //. Used in the [`defaultRedirectionPolicy`](#defaultRedirectionPolicy) and
 //. the [`aggressiveRedirectionPolicy`](#aggressiveRedirectionPolicy).
 export const redirectUsingGetMethod = response => {
-  const original = Response.request (response);
-  const options = Object.assign ({}, Request.options (original), {
-    method: 'GET',
-  });
-  const request = Request (options) (Request.url (original)) (emptyStream);
+  const request = setBody (emptyStream)
+                          (setMethod ('GET') (Response.request (response)));
   return redirectAnyRequest (Response (request) (Response.message (response)));
 };
 
@@ -649,9 +2652,9 @@ const conditionHeaders = [
 export const retryWithoutCondition = response => {
   const original = Response.request (response);
   const {method} = cleanRequestOptions (original);
-  const request = overHeaders (original, xs => xs.filter (([name]) => (
+  const request = mapHeaders (xs => xs.filter (([name]) => (
     !(conditionHeaders.includes (name.toLowerCase ()))
-  )));
+  ))) (original);
   return method === 'GET' ? request : original;
 };
 
@@ -662,7 +2665,8 @@ export const retryWithoutCondition = response => {
 //.
 //. Redirections with status codes 301, 302, and 307 are only followed if the
 //. original request used the GET method, and redirects with status code 304
-//. are left alone for a caching layer to deal with.
+//. are left alone for a caching layer, such as [`cached`](#cached), to deal
+//. with.
 //.
 //. This redirection policy is used by default in the
 //. [`followRedirects`](#followRedirects) function. You can extend it, using
@@ -729,37 +2733,76 @@ const requestsEquivalent = left => right => (
   Request.body (left) === Request.body (right)
 );
 
+//    followRedirectsThreading :: (Request -> Future Error Response) -> (Response -> a -> a) -> (a -> Response -> Request) -> Number -> a -> Response -> Future Error (Array2 a Response)
+const followRedirectsThreading = transport => update => strategy => _max => (
+  _state => _response => {
+    const seen = [];
+    const followUp = max => _ => response => {
+      const state = update (response) (_);
+      if (max < 1) {
+        return resolve ([state, response]);
+      }
+      seen.push (Response.request (response));
+      const nextRequest = strategy (state) (response);
+      if (requestsEquivalent (seen[seen.length - 1]) (nextRequest)) {
+        return resolve ([state, response]);
+      }
+      for (let i = seen.length - 2; i >= 0; i -= 1) {
+        if (requestsEquivalent (seen[i]) (nextRequest)) {
+          return reject (new RedirectLoopError (response, nextRequest));
+        }
+      }
+      Response.message (response).resume ();
+      return (
+        transport (nextRequest)
+        .pipe (mapRej (e => (
+          e instanceof HttpError ?
+          e :
+          new Error ('After redirect: ' + e.message)
+        )))
+        .pipe (chain (followUp (max - 1) (state)))
+      );
+    };
+    return followUp (_max) (_state) (_response);
+  }
+);
+
 //# followRedirectsWith :: (Response -> Request) -> Number -> Response -> Future Error Response
 //.
 //. Given a function that take a Response and produces a new Request, and a
 //. "maximum" number, recursively keeps resolving new requests until a request
 //. is encountered that was seen before, or the maximum number is reached.
 //.
+//. When the new Request is equivalent to the Request of the given Response,
+//. the Response is considered final, and the Future resolves with it. When
+//. the new Request is equivalent to any Request before that, the redirects
+//. are going around in circles, and the Future rejects with a
+//. [RedirectLoopError](#RedirectLoopError).
+//.
+//. The bodies of the Responses which are redirected away from are discarded,
+//. so that their connections can be reused.
+//.
 //. See [`followRedirects`](#followRedirects) for an out-of-the-box redirect-
 //. follower. See [`aggressiveRedirectionPolicy`](#aggressiveRedirectionPolicy)
 //. and [`defaultRedirectionPolicy`](defaultRedirectionPolicy) for
 //. additional usage examples.
-export const followRedirectsWith = strategy => _max => _response => {
-  const seen = [];
-  const followUp = max => response => {
-    if (max < 1) {
-      return resolve (response);
-    }
-    seen.push (Response.request (response));
-    const nextRequest = strategy (response);
-    for (let i = seen.length - 1; i >= 0; i -= 1) {
-      if (requestsEquivalent (seen[i]) (nextRequest)) {
-        return resolve (response);
-      }
-    }
-    return (
-      sendRequest (nextRequest)
-      .pipe (mapRej (e => new Error ('After redirect: ' + e.message)))
-      .pipe (chain (followUp (max - 1)))
-    );
-  };
-  return followUp (_max) (_response);
-};
+export const followRedirectsWith = strategy => (
+  followRedirectsVia (defaultClient) (strategy)
+);
+
+//# followRedirectsVia :: Client -> (Response -> Request) -> Number -> Response -> Future Error Response
+//.
+//. A version of [`followRedirectsWith`](#followRedirectsWith) which sends
+//. the requests for every redirect through the given [Client](#Client).
+export const followRedirectsVia = client => strategy => max => response => (
+  followRedirectsThreading (sendRequestVia (client))
+                           (() => x => x)
+                           (() => strategy)
+                           (max)
+                           (null)
+                           (response)
+  .pipe (map (([, res]) => res))
+);
 
 //# followRedirects :: Number -> Response -> Future Error Response
 //.
@@ -769,98 +2812,3141 @@ export const followRedirectsWith = strategy => _max => _response => {
 //. See the [Http section](#http) for a usage example.
 export const followRedirects = followRedirectsWith (defaultRedirectionPolicy);
 
-//# acceptStatus :: Number -> Response -> Future Response Response
+//# CookieJar :: Array Cookie -> CookieJar
 //.
-//. This function "tags" a [Response](#Response) based on a given status code.
-//. If the response status matches the given status code, the returned Future
-//. will resolve. If it doesn't, the returned Future will reject.
+//. Constructs a value of type CookieJar from an Array of Cookies. A Cookie
+//. is a plain Object with the following properties, as described in
+//. [RFC6265 Section 5.3][]:
 //.
-//. See also [`matchStatus`](#matchStatus), which will probably be more useful
-//. in most cases.
+//. - `name` and `value`: Strings.
+//. - `domain`: The lower-cased host name the cookie belongs to.
+//. - `hostOnly`: Boolean. When `false`, the cookie is also sent to
+//.   subdomains of `domain`.
+//. - `path`: The path the cookie is scoped to.
+//. - `expires`: The expiry time in milliseconds since the epoch, or `null`
+//.   for session cookies.
+//. - `secure` and `httpOnly`: Booleans.
+//. - `sameSite`: One of `'Strict'`, `'Lax'` or `'None'`, or `null`.
+//. - `created`: The creation time in milliseconds since the epoch.
 //.
-//. The idea is that you can compose this function with one that returns a
-//. Response, and reject any responses that don't meet the expected status
-//. code.
+//. CookieJars are immutable: functions such as
+//. [`absorbCookies`](#absorbCookies) return a new CookieJar. Use
+//. [`emptyCookieJar`](#emptyCookieJar) to start out with no cookies, or
+//. restore a previously persisted jar from its cookies:
 //.
-//. In combination with [`responseToError`](#responseToError), you can then
-//. flatten it back into the outer Future. The usage example under the
-//. [Http](#http) section shows this.
-export const acceptStatus = code => matchStatus (reject) ({[code]: resolve});
+//. ```js
+//. const persist = jar => JSON.stringify (CookieJar.cookies (jar));
+//. const restore = json => CookieJar (JSON.parse (json));
+//.
+//. restore (persist (emptyCookieJar));
+//. ```
+export const CookieJar = cookies => ({cookies});
 
-//# bufferMessage :: Charset -> IncomingMessage -> Future Error String
+//# CookieJar.cookies :: CookieJar -> Array Cookie
 //.
-//. A version of [`buffer`](#buffer) specialized in [IncomingMessage][]s.
+//. Get the cookies out of a CookieJar.
+CookieJar.cookies = ({cookies}) => cookies;
+
+//# emptyCookieJar :: CookieJar
 //.
-//. See also [`bufferResponse`](#bufferResponse) and
-//. [`autoBufferMessage`](#autoBufferMessage).
+//. A CookieJar without any cookies.
+export const emptyCookieJar = CookieJar ([]);
+
+//    isIpAddress :: String -> Boolean
+const isIpAddress = host => /^\[.*\]$|^[0-9.]+$/.test (host);
+
+//    isPublicSuffix :: String -> Boolean
+//
+//    Tells whether cookies may not be set for the given domain because it is
+//    a top-level domain, or a second-level domain under which a country's
+//    registry hands out names, such as co.uk or com.au. This approximates
+//    the Public Suffix List, which is too large to bundle.
+const isPublicSuffix = domain => (
+  /^[^.]+$|^(ac|co|com|edu|go|gob|gov|mil|ne|net|nic|or|org)\.[a-z]{2}$/
+  .test (domain)
+);
+
+//    domainMatch :: String -> String -> Boolean
+const domainMatch = domain => host => (
+  host === domain || (host.endsWith ('.' + domain) && !isIpAddress (host))
+);
+
+//    pathMatch :: String -> String -> Boolean
+const pathMatch = cookiePath => path => (
+  path === cookiePath || (path.startsWith (cookiePath) && (
+    cookiePath.endsWith ('/') || path[cookiePath.length] === '/'
+  ))
+);
+
+//    defaultCookiePath :: String -> String
+const defaultCookiePath = path => (
+  path.lastIndexOf ('/') > 0 ? path.slice (0, path.lastIndexOf ('/')) : '/'
+);
+
+//    sameSiteValues :: StrMap String
+const sameSiteValues = {strict: 'Strict', lax: 'Lax', none: 'None'};
+
+//    parseSetCookie :: Url -> Number -> String -> Nullable Cookie
+const parseSetCookie = url => now => header => {
+  const [pair, ...attributes] = header.split (';');
+  const separator = pair.indexOf ('=');
+  const name = pair.slice (0, separator).trim ();
+  if (separator < 0 || name === '') {
+    return null;
+  }
+  const cookie = {
+    name: name,
+    value: pair.slice (separator + 1).trim (),
+    domain: url.hostname,
+    hostOnly: true,
+    path: defaultCookiePath (url.pathname),
+    expires: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+    created: now,
+  };
+  let maxAge = null;
+  attributes.forEach (attribute => {
+    const index = attribute.indexOf ('=');
+    const key = (index < 0 ? attribute : attribute.slice (0, index))
+                .trim ().toLowerCase ();
+    const value = index < 0 ? '' : attribute.slice (index + 1).trim ();
+    if (key === 'expires' && !(Number.isNaN (Date.parse (value)))) {
+      cookie.expires = Date.parse (value);
+    } else if (key === 'max-age' && /^-?[0-9]+$/.test (value)) {
+      maxAge = Math.max (0, now + Number (value) * 1000);
+    } else if (key === 'domain' && value.replace (/^\./, '') !== '') {
+      cookie.domain = value.replace (/^\./, '').toLowerCase ();
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith ('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite' && hasProp (value.toLowerCase ())
+                                              (sameSiteValues)) {
+      cookie.sameSite = sameSiteValues[value.toLowerCase ()];
+    }
+  });
+  cookie.expires = maxAge == null ? cookie.expires : maxAge;
+  cookie.hostOnly = cookie.hostOnly || isPublicSuffix (cookie.domain);
+  const acceptable = (
+    domainMatch (cookie.domain) (url.hostname) &&
+    (cookie.domain === url.hostname || !(isPublicSuffix (cookie.domain))) &&
+    (url.protocol === 'https:' || !cookie.secure) &&
+    (cookie.sameSite !== 'None' || cookie.secure)
+  );
+  return acceptable ? cookie : null;
+};
+
+//    isExpired :: Number -> Cookie -> Boolean
+const isExpired = now => cookie => (
+  cookie.expires != null && cookie.expires <= now
+);
+
+//    sameCookie :: Cookie -> Cookie -> Boolean
+const sameCookie = a => b => (
+  a.name === b.name && a.domain === b.domain && a.path === b.path
+);
+
+//# absorbCookies :: Response -> CookieJar -> CookieJar
 //.
-//. Given a charset and an IncomingMessage, returns a Future with the buffered,
-//. encoded, message body.
-export const bufferMessage = charset => message => (
-  mapRej (e => new Error ('Failed to buffer response: ' + e.message))
-         (bufferString (charset) (message))
+//. Given a Response and a CookieJar, returns a new CookieJar which contains
+//. the cookies set by the Set-Cookie headers of the Response, in accordance
+//. with [RFC6265 Section 5.3][].
+//.
+//. Cookies replace earlier cookies with the same name, domain and path, and
+//. cookies that have expired are removed from the jar. Cookies that the
+//. Response is not allowed to set, such as cookies for another domain or
+//. for a public suffix like `co.uk`, or Secure cookies received over plain
+//. http, are ignored.
+//.
+//. ```js
+//. retrieve ('https://example.com/login') ({})
+//. .pipe (map (response => absorbCookies (response) (emptyCookieJar)))
+//. ```
+export const absorbCookies = response => jar => {
+  const {headers} = Response.message (response);
+  const url = new URL (Request.url (Response.request (response)));
+  const now = Date.now ();
+  const initial = CookieJar.cookies (jar).filter (c => !(isExpired (now) (c)));
+  const lines = [].concat (headers['set-cookie'] || []);
+  return CookieJar (lines.reduce ((cookies, line) => {
+    const cookie = parseSetCookie (url) (now) (line);
+    if (cookie == null) {
+      return cookies;
+    }
+    const old = cookies.find (sameCookie (cookie));
+    const rest = cookies.filter (c => !(sameCookie (cookie) (c)));
+    const created = old == null ? cookie.created : old.created;
+    return isExpired (now) (cookie) ?
+           rest :
+           rest.concat ([Object.assign ({}, cookie, {created})]);
+  }, initial));
+};
+
+//    registrableDomain :: String -> String
+const registrableDomain = hostname => {
+  const labels = hostname.split ('.');
+  const size = isPublicSuffix (labels.slice (-2).join ('.')) ? 3 : 2;
+  return labels.slice (-size).join ('.');
+};
+
+//    siteOf :: Url -> String
+const siteOf = url => {
+  const {protocol, hostname} = new URL (url);
+  const site = isIpAddress (hostname) ?
+               hostname :
+               registrableDomain (hostname);
+  return protocol + '//' + site;
+};
+
+//    sameSiteAllows :: String -> Request -> Cookie -> Boolean
+const sameSiteAllows = site => request => cookie => (
+  (cookie.sameSite !== 'Strict' && cookie.sameSite !== 'Lax') ||
+  siteOf (Request.url (request)) === site ||
+  (cookie.sameSite === 'Lax' &&
+   cleanRequestOptions (request).method === 'GET')
 );
 
-//# bufferResponse :: Charset -> Response -> Future Error String
+//    applyCookiesWithin :: String -> CookieJar -> Request -> Request
+const applyCookiesWithin = site => jar => request => {
+  const url = new URL (Request.url (request));
+  const now = Date.now ();
+  const matching = CookieJar.cookies (jar).filter (c => (
+    domainMatch (c.domain) (url.hostname) &&
+    (c.hostOnly ? c.domain === url.hostname : true) &&
+    pathMatch (c.path) (url.pathname) &&
+    (url.protocol === 'https:' || !c.secure) &&
+    !(isExpired (now) (c)) &&
+    sameSiteAllows (site) (request) (c)
+  )).sort ((a, b) => (
+    b.path.length - a.path.length || a.created - b.created
+  ));
+  if (matching.length === 0) {
+    return request;
+  }
+  const names = matching.map (c => c.name);
+  return mapHeaders (xs => {
+    const others = xs.filter (isNotNamed ('cookie'));
+    const pairs = xs.filter (([name]) => name.toLowerCase () === 'cookie')
+                    .flatMap (([, value]) => String (value).split (';'))
+                    .map (pair => pair.trim ())
+                    .filter (pair => (
+                      pair !== '' && !(names.includes (pair.split ('=')[0]))
+                    ))
+                    .concat (matching.map (c => `${c.name}=${c.value}`));
+    return others.concat ([['Cookie', pairs.join ('; ')]]);
+  }) (request);
+};
+
+//# applyCookies :: CookieJar -> Request -> Request
 //.
-//. A composition of [`Response.message`](#Response.message) and
-//. [`bufferMessage`](#bufferMessage) for your convenience.
+//. Given a CookieJar and a Request, returns a new Request with a Cookie
+//. header containing the cookies from the jar that match the Request URL,
+//. in accordance with [RFC6265 Section 5.4][]. The cookie domain, path,
+//. Secure flag and expiry are taken into account.
 //.
-//. See also [autoBufferResponse](#autoBufferResponse).
-export const bufferResponse = charset => response => (
-  bufferMessage (charset) (Response.message (response))
+//. Cookies from the jar that match the Request take precedence over cookies
+//. of the same name that are already present in the Cookie header of the
+//. Request. Other cookies in that header are left alone.
+//.
+//. ```js
+//. const jar = CookieJar ([{
+//.   name: 'session',
+//.   value: 'abc123',
+//.   domain: 'example.com',
+//.   hostOnly: true,
+//.   path: '/',
+//.   expires: null,
+//.   secure: true,
+//.   httpOnly: true,
+//.   sameSite: 'Lax',
+//.   created: Date.now (),
+//. }]);
+//.
+//. sendRequest (applyCookies (jar) (Request ({}) ('https://example.com/')
+//.                                           (emptyStream)));
+//. ```
+export const applyCookies = jar => request => (
+  applyCookiesWithin (siteOf (Request.url (request))) (jar) (request)
 );
 
-//# autoBufferMessage :: IncomingMessage -> Future Error String
+//# followRedirectsWithCookies :: (Response -> Request) -> Number -> CookieJar -> Response -> Future Error (Array2 CookieJar Response)
 //.
-//. Given an IncomingMessage, buffers and decodes the message body using the
-//. charset provided in the message headers. Falls back to UTF-8 if the
-//. charset was not provided.
+//. Like [`followRedirectsWith`](#followRedirectsWith), but threads a
+//. CookieJar through each hop. Cookies set by every Response are absorbed
+//. into the jar using [`absorbCookies`](#absorbCookies), and the matching
+//. cookies are applied to every next Request. Resolves with a pair of the
+//. final CookieJar and the final Response.
 //.
-//. Returns a Future with the buffered, encoded, message body.
+//. The site of the first Request is treated as the site that initiated the
+//. redirects: `SameSite=Strict` cookies are not sent to other sites, and
+//. `SameSite=Lax` cookies are only sent to other sites with GET requests.
 //.
-//. See also [bufferMessage](#bufferMessage).
-export const autoBufferMessage = message => {
-  const contentType = message.headers['content-type'] || defaultContentType;
-  const parsed = charsetRegex.exec (contentType);
-  const charset = parsed == null ? defaultCharset : parsed[1];
-  return bufferMessage (charset) (message);
-};
+//. ```js
+//. const login = sendForm ('POST') ('https://example.com/login') ({})
+//.                        ({user: 'bob', password: 'hunter2'});
+//.
+//. login.pipe (chain (followRedirectsWithCookies (defaultRedirectionPolicy)
+//.                                              (10)
+//.                                              (emptyCookieJar)));
+//. ```
+export const followRedirectsWithCookies = strategy => (
+  followRedirectsWithCookiesVia (defaultClient) (strategy)
+);
 
-//# autoBufferResponse :: Response -> Future Error String
+//# followRedirectsWithCookiesVia :: Client -> (Response -> Request) -> Number -> CookieJar -> Response -> Future Error (Array2 CookieJar Response)
 //.
-//. A composition of [`Response.message`](#Response.message) and
-//. [`autoBufferMessage`](#autoBufferMessage) for your convenience.
+//. A version of [`followRedirectsWithCookies`](#followRedirectsWithCookies)
+//. which sends the requests for every redirect through the given
+//. [Client](#Client).
+export const followRedirectsWithCookiesVia = client => strategy => max => (
+  jar => response => {
+    const site = siteOf (Request.url (Response.request (response)));
+    const cookieStrategy = cookies => res => {
+      const nextRequest = strategy (res);
+      return requestsEquivalent (Response.request (res)) (nextRequest) ?
+             nextRequest :
+             applyCookiesWithin (site) (cookies) (nextRequest);
+    };
+    return followRedirectsThreading (sendRequestVia (client))
+                                    (absorbCookies)
+                                    (cookieStrategy)
+                                    (max)
+                                    (jar)
+                                    (response);
+  }
+);
+
+//# RetryPolicy :: (Number -> Request -> Error -> Nullable Number) -> (Number -> Response -> Nullable Number) -> RetryPolicy
 //.
-//. See also [bufferResponse](#bufferResponse).
-export const autoBufferResponse = response => (
-  autoBufferMessage (Response.message (response))
+//. Constructs a value of type RetryPolicy to be used with
+//. [`retryWith`](#retryWith).
+//.
+//. Takes two functions. The first is used when an attempt rejected, and is
+//. given the number of attempts made so far, the Request, and the rejection
+//. reason. The second is used when an attempt resolved, and is given the
+//. number of attempts made so far and the Response. Both functions return
+//. either the number of milliseconds to wait before making another attempt,
+//. or `null` to stop retrying.
+//.
+//. ```js
+//. const retryServerErrors = RetryPolicy (() => () => () => null)
+//.                                       (matchStatus (() => null) ({
+//.                                         500: () => 1000,
+//.                                       }));
+//.
+//. retryWith (retryServerErrors) (3) (Request ({}) ('https://example.com')
+//.                                             (emptyStream));
+//. ```
+export const RetryPolicy = onError => onResponse => ({onError, onResponse});
+
+//# RetryPolicy.onError :: RetryPolicy -> Number -> Request -> Error -> Nullable Number
+//.
+//. Get the rejection handler out of a RetryPolicy.
+RetryPolicy.onError = ({onError}) => onError;
+
+//# RetryPolicy.onResponse :: RetryPolicy -> Number -> Response -> Nullable Number
+//.
+//. Get the response handler out of a RetryPolicy.
+RetryPolicy.onResponse = ({onResponse}) => onResponse;
+
+//# exponentialBackoff :: Number -> Number -> Number -> Number
+//.
+//. Given a base delay, a maximum delay, and the number of attempts made so
+//. far, returns a random delay in milliseconds between zero and the base
+//. delay doubled for every attempt after the first, capped at the maximum.
+//.
+//. This is the "full jitter" strategy, which prevents many clients that
+//. failed at the same time from retrying at the same time.
+//.
+//. ```js
+//. > exponentialBackoff (100) (10000) (3) < 400
+//. true
+//. ```
+export const exponentialBackoff = base => cap => attempts => (
+  Math.random () * Math.min (cap, base * Math.pow (2, attempts - 1))
 );
 
-//# responseToError :: Response -> Future Error a
+//# retryAfter :: Response -> Nullable Number
+//.
+//. Returns the number of milliseconds the server asked the client to wait
+//. using the Retry-After header, or `null` if the Response has no valid
+//. Retry-After header.
+export const retryAfter = response => {
+  const value = Response.message (response).headers['retry-after'];
+  if (value == null) {
+    return null;
+  }
+  if (/^\s*\d+\s*$/.test (value)) {
+    return Number (value) * 1000;
+  }
+  const date = Date.parse (value);
+  return Number.isNaN (date) ? null : Math.max (0, date - Date.now ());
+};
+
+// See https://tools.ietf.org/html/rfc7231#section-4.2.2
+const idempotentMethods = [
+  'DELETE',
+  'GET',
+  'HEAD',
+  'OPTIONS',
+  'PUT',
+  'TRACE',
+];
+
+//    isIdempotent :: Request -> Boolean
+const isIdempotent = request => (
+  idempotentMethods.includes (cleanRequestOptions (request).method)
+);
+
+//    defaultBackoff :: Number -> Number
+const defaultBackoff = exponentialBackoff (100) (10000);
+
+//# defaultRetryPolicyWith :: Object -> RetryPolicy
+//.
+//. Constructs a retry policy like
+//. [`defaultRetryPolicy`](#defaultRetryPolicy), from an options Object. It
+//. may contain a `maxRetryAfter`: the maximum number of milliseconds to
+//. wait when a Response asks for a delay using the Retry-After header.
+//. Longer delays are shortened to this maximum. By default, the delay is
+//. not capped.
+//.
+//. ```js
+//. retryWith (defaultRetryPolicyWith ({maxRetryAfter: 5000}))
+//.           (3)
+//.           (Request ({}) ('https://example.com') (emptyStream));
+//. ```
+export const defaultRetryPolicyWith = options => {
+  const maxRetryAfter = options.maxRetryAfter == null ?
+                        Infinity :
+                        options.maxRetryAfter;
+  return RetryPolicy (
+    attempts => request => e => (
+      isIdempotent (request) &&
+      (e instanceof NetworkError || e instanceof TimeoutError) ?
+      defaultBackoff (attempts) :
+      null
+    )
+  ) (
+    attempts => response => {
+      if (!isIdempotent (Response.request (response))) {
+        return null;
+      }
+      const backoff = () => defaultBackoff (attempts);
+      const honourRetryAfter = () => {
+        const delay = retryAfter (response);
+        return delay == null ? backoff () : Math.min (delay, maxRetryAfter);
+      };
+      return matchStatus (() => null) ({
+        408: backoff,
+        429: honourRetryAfter,
+        500: backoff,
+        502: backoff,
+        503: honourRetryAfter,
+        504: backoff,
+      }) (response);
+    }
+  );
+};
+
+//# defaultRetryPolicy :: RetryPolicy
+//.
+//. Retries requests with an idempotent method when they fail due to a
+//. [NetworkError](#NetworkError) or a [TimeoutError](#TimeoutError), or
+//. when they are met with a 408, 429, 500, 502, 503, or 504 response. Other
+//. rejections are not retried. The delay between attempts is determined by
+//. [`exponentialBackoff`](#exponentialBackoff), except for 429 and 503
+//. responses that specify a delay using the Retry-After header. Such delays
+//. are capped at one minute.
+//.
+//. This retry policy is used by default in the [`retry`](#retry) function.
+export const defaultRetryPolicy = defaultRetryPolicyWith ({
+  maxRetryAfter: 60000,
+});
+
+//# retryWith :: RetryPolicy -> Number -> Request -> Future Error Response
+//.
+//. Given a [RetryPolicy](#RetryPolicy), a maximum number of retries, and a
+//. [Request](#Request), returns a Future which sends the Request, and keeps
+//. sending it again for as long as the policy asks for it, or until the
+//. maximum number of retries is reached. The Future settles with the
+//. outcome of the last attempt.
 //.
-//. Given a [Response](#Response), returns a *rejected* Future of an instance
-//. of Error with a message based on the content of the response.
-export const responseToError = response => {
-  const message = Response.message (response);
-  return autoBufferMessage (message)
-  .pipe (chain (body => reject (new Error (
-    `Unexpected ${message.statusMessage} (${message.statusCode}) response. ` +
-    `Response body:\n\n${body.split ('\n').map (x => `  ${x}`).join ('\n')}`
-  ))));
+//. The body of a Response that is retried is discarded. Retrying relies on
+//. the body of the Request producing a brand new Stream every time it is
+//. forked. When the Future is cancelled, the current attempt is cancelled,
+//. or, if the Future is waiting to make the next attempt, it stops waiting.
+//.
+//. See [`retry`](#retry) for an out-of-the-box retrying function.
+export const retryWith = policy => retryVia (defaultClient) (policy);
+
+//# retryVia :: Client -> RetryPolicy -> Number -> Request -> Future Error Response
+//.
+//. A version of [`retryWith`](#retryWith) which sends every attempt through
+//. the given [Client](#Client).
+export const retryVia = client => policy => max => request => {
+  const retryAfterDelay = attempts => delay => (
+    sleep (delay).pipe (chain (() => attemptRequest (attempts)))
+  );
+  const onRejection = attempts => e => {
+    const delay = attempts <= max ?
+                  RetryPolicy.onError (policy) (attempts) (request) (e) :
+                  null;
+    return delay == null ? reject (e) : retryAfterDelay (attempts) (delay);
+  };
+  const onResolution = attempts => response => {
+    const delay = attempts <= max ?
+                  RetryPolicy.onResponse (policy) (attempts) (response) :
+                  null;
+    if (delay == null) {
+      return resolve (response);
+    }
+    Response.message (response).resume ();
+    return retryAfterDelay (attempts) (delay);
+  };
+  const attemptRequest = attempts => (
+    bichain (onRejection (attempts + 1))
+            (onResolution (attempts + 1))
+            (sendRequestVia (client) (request))
+  );
+  return attemptRequest (0);
 };
 
+//# retry :: Number -> Request -> Future Error Response
+//.
+//. Given the maximum number of retries, sends the given Request, retrying
+//. according to the [default retry policy](#defaultRetryPolicy).
+//.
+//. ```js
+//. retry (3) (Request ({}) ('https://example.com') (emptyStream))
+//. ```
+export const retry = retryWith (defaultRetryPolicy);
+
+//# CacheStore :: (String -> Future Error (Nullable (Array CacheEntry))) -> (String -> Array CacheEntry -> Future Error Undefined) -> (String -> Future Error Undefined) -> CacheStore
+//.
+//. Constructs a value of type CacheStore to be used with
+//. [`cached`](#cached).
+//.
+//. Takes three functions, each operating on the entries stored for a single
+//. URL. The first looks them up, resolving with `null` if there are none.
+//. The second stores them, replacing any entries stored before. The third
+//. removes them.
+//.
+//. A CacheEntry is a plain Object holding the status, headers, and buffered
+//. body of a Response, alongside the information needed to compute its age.
+//. The body is a [Buffer][], so stores that persist entries outside of the
+//. process need to be able to serialize those.
+//.
+//. See [`memoryCacheStore`](#memoryCacheStore) for the default implementation.
+export const CacheStore = get => set => remove => ({get, set, remove});
+
+//# CacheStore.get :: CacheStore -> String -> Future Error (Nullable (Array CacheEntry))
+//.
+//. Get the lookup function out of a CacheStore.
+CacheStore.get = ({get}) => get;
+
+//# CacheStore.set :: CacheStore -> String -> Array CacheEntry -> Future Error Undefined
+//.
+//. Get the storage function out of a CacheStore.
+CacheStore.set = ({set}) => set;
+
+//# CacheStore.remove :: CacheStore -> String -> Future Error Undefined
+//.
+//. Get the removal function out of a CacheStore.
+CacheStore.remove = ({remove}) => remove;
+
+//# memoryCacheStore :: Map String (Array CacheEntry) -> CacheStore
+//.
+//. A [CacheStore](#CacheStore) which keeps its entries in the given Map.
+//. The Map is mutated as entries are stored and removed, so it can be shared
+//. between multiple calls to [`cached`](#cached), and inspected or cleared
+//. from the outside.
+//.
+//. ```js
+//. const entries = new Map ();
+//. const store = memoryCacheStore (entries);
+//.
+//. cached (store) (Request ({}) ('https://example.com') (emptyStream))
+//. .pipe (map (() => entries.has ('https://example.com/')))
+//. ```
+export const memoryCacheStore = map => CacheStore (
+  key => attempt (() => (map.has (key) ? map.get (key) : null))
+) (
+  key => entries => attempt (() => { map.set (key, entries); })
+) (
+  key => attempt (() => { map.delete (key); })
+);
+
+// See https://www.rfc-editor.org/rfc/rfc9110#section-9.2.1
+const safeMethods = [
+  'GET',
+  'HEAD',
+  'OPTIONS',
+  'TRACE',
+];
+
+// See https://www.rfc-editor.org/rfc/rfc9110#section-15.1
+const heuristicallyCacheable = [
+  200,
+  203,
+  204,
+  206,
+  300,
+  301,
+  308,
+  404,
+  405,
+  410,
+  414,
+  501,
+];
+
+//    lowerCaseHeaders :: StrMap Any -> StrMap String
+const lowerCaseHeaders = headers => Object.fromEntries (
+  Object.entries (headers)
+  .map (([name, value]) => [name.toLowerCase (), String (value)])
+);
+
+//    withoutHeaders :: Array String -> StrMap Any -> StrMap Any
+const withoutHeaders = names => headers => Object.fromEntries (
+  Object.entries (headers).filter (([name]) => !(names.includes (name)))
+);
+
+//    parseCacheControl :: Any -> StrMap String
+const parseCacheControl = value => Object.fromEntries (
+  String (value == null ? '' : value)
+  .split (',')
+  .map (x => x.trim ())
+  .filter (x => x !== '')
+  .map (x => {
+    const index = x.indexOf ('=');
+    return index < 0 ? [x.toLowerCase (), ''] : [
+      x.slice (0, index).trim ().toLowerCase (),
+      x.slice (index + 1).trim ().replace (/^"(.*)"$/, '$1'),
+    ];
+  })
+);
+
+//    deltaSeconds :: Any -> Nullable Number
+const deltaSeconds = value => (
+  /^\d+$/.test (value) ? Number (value) * 1000 : null
+);
+
+//    varyNames :: StrMap Any -> Array String
+const varyNames = headers => (
+  String (headers.vary == null ? '' : headers.vary)
+  .split (',')
+  .map (x => x.trim ().toLowerCase ())
+  .filter (x => x !== '')
+);
+
+//    headerOrNull :: StrMap String -> String -> Nullable String
+const headerOrNull = headers => name => (
+  hasProp (name) (headers) ? headers[name] : null
+);
+
+//    cacheEntry :: StrMap String -> Number -> Number -> IncomingMessage -> Nullable Buffer -> CacheEntry
+const cacheEntry = headers => requestTime => responseTime => message => (
+  body => ({
+    vary: Object.fromEntries (varyNames (message.headers).map (name => (
+      [name, headerOrNull (headers) (name)]
+    ))),
+    status: message.statusCode,
+    statusMessage: message.statusMessage,
+    httpVersion: message.httpVersion,
+    headers: message.headers,
+    body: body,
+    requestTime: requestTime,
+    responseTime: responseTime,
+  })
+);
+
+//    matchesVary :: StrMap String -> CacheEntry -> Boolean
+const matchesVary = headers => entry => (
+  Object.entries (entry.vary).every (([name, value]) => (
+    headerOrNull (headers) (name) === value
+  ))
+);
+
+//    responseDate :: CacheEntry -> Number
+const responseDate = entry => {
+  const date = Date.parse (entry.headers.date);
+  return Number.isNaN (date) ? entry.responseTime : date;
+};
+
+// See https://www.rfc-editor.org/rfc/rfc9111#section-4.2.1
+//    freshnessLifetime :: CacheEntry -> Number
+const freshnessLifetime = entry => {
+  const maxAge = deltaSeconds (
+    parseCacheControl (entry.headers['cache-control'])['max-age']
+  );
+  if (maxAge != null) {
+    return maxAge;
+  }
+  if (entry.headers.expires != null) {
+    const expires = Date.parse (entry.headers.expires);
+    return Number.isNaN (expires) ?
+           0 :
+           Math.max (0, expires - responseDate (entry));
+  }
+  const lastModified = Date.parse (entry.headers['last-modified']);
+  return (
+    heuristicallyCacheable.includes (entry.status) &&
+    !(Number.isNaN (lastModified)) ?
+    Math.max (0, responseDate (entry) - lastModified) / 10 :
+    0
+  );
+};
+
+// See https://www.rfc-editor.org/rfc/rfc9111#section-4.2.3
+//    currentAge :: Number -> CacheEntry -> Number
+const currentAge = now => entry => {
+  const ageValue = deltaSeconds (entry.headers.age) || 0;
+  const apparentAge = Math.max (0, entry.responseTime - responseDate (entry));
+  const correctedAge = ageValue + entry.responseTime - entry.requestTime;
+  return Math.max (apparentAge, correctedAge) + now - entry.responseTime;
+};
+
+//    isFresh :: StrMap String -> Number -> CacheEntry -> Boolean
+const isFresh = directives => now => entry => {
+  const age = currentAge (now) (entry);
+  const maxAge = deltaSeconds (directives['max-age']);
+  return !(hasProp ('no-cache') (directives)) &&
+         !(hasProp ('no-cache')
+                   (parseCacheControl (entry.headers['cache-control']))) &&
+         (maxAge == null || age <= maxAge) &&
+         age < freshnessLifetime (entry);
+};
+
+//    validatorHeaders :: CacheEntry -> Array2 String String
+const validatorHeaders = ({headers}) => [].concat (
+  headers.etag == null ? [] : [['If-None-Match', headers.etag]],
+  headers['last-modified'] == null ?
+  [] :
+  [['If-Modified-Since', headers['last-modified']]]
+);
+
+//    isStorable :: StrMap String -> CacheEntry -> Boolean
+const isStorable = directives => entry => {
+  const responseDirectives = parseCacheControl (
+    entry.headers['cache-control']
+  );
+  return entry.status !== 206 &&
+         entry.status !== 304 &&
+         !(hasProp ('no-store') (directives)) &&
+         !(hasProp ('no-store') (responseDirectives)) &&
+         !(varyNames (entry.headers).includes ('*')) &&
+         (freshnessLifetime (entry) > 0 ||
+          validatorHeaders (entry).length > 0) &&
+         (heuristicallyCacheable.includes (entry.status) ||
+          hasProp ('max-age') (responseDirectives) ||
+          entry.headers.expires != null);
+};
+
+//    cachedMessage :: Number -> CacheEntry -> Future Error IncomingMessage
+const cachedMessage = now => entry => streamOf (entry.body).pipe (map (x => {
+  const age = Math.floor (currentAge (now) (entry) / 1000);
+  x.headers = Object.assign ({}, entry.headers, {age: String (age)});
+  x.statusCode = entry.status;
+  x.statusMessage = entry.statusMessage;
+  x.httpVersion = entry.httpVersion;
+  return x;
+}));
+
+//    bufferUpTo :: Nullable Number -> Readable Buffer -> Future Error { chunks :: Array Buffer, complete :: Boolean }
+//
+//    Buffers the stream until it ends, or until it has produced more than
+//    the given number of bytes, in which case the stream is paused and the
+//    buffered chunks are returned as incomplete. The stream is also paused
+//    when the Future is cancelled.
+const bufferUpTo = maxBytes => stream => Future ((rej, res) => {
+  const chunks = [];
+  let size = 0;
+  const removeListeners = () => {
+    stream.removeListener ('data', onData);
+    stream.removeListener ('error', onError);
+    stream.removeListener ('end', onEnd);
+  };
+  const onData = d => {
+    chunks.push (d);
+    size += d.length;
+    if (maxBytes != null && size > maxBytes) {
+      stream.pause ();
+      removeListeners ();
+      res ({chunks, complete: false});
+    }
+  };
+  const onEnd = () => {
+    removeListeners ();
+    res ({chunks, complete: true});
+  };
+  const onError = e => {
+    removeListeners ();
+    rej (e);
+  };
+  stream.on ('data', onData);
+  stream.once ('error', onError);
+  stream.once ('end', onEnd);
+  return () => {
+    removeListeners ();
+    stream.pause ();
+  };
+});
+
+//    unshiftedMessage :: Array Buffer -> IncomingMessage -> Readable Buffer
+//
+//    A stand-in for the given message which produces the given chunks before
+//    the rest of its body.
+const unshiftedMessage = chunks => message => {
+  const x = new PassThrough ();
+  chunks.forEach (chunk => { x.write (chunk); });
+  streamPipeline (message, x, () => {});
+  x.headers = message.headers;
+  x.statusCode = message.statusCode;
+  x.statusMessage = message.statusMessage;
+  x.httpVersion = message.httpVersion;
+  return x;
+};
+
+//# cached :: CacheStore -> Request -> Future Error Response
+//.
+//. A version of [`sendRequest`](#sendRequest) which maintains a private
+//. HTTP cache in the given [CacheStore](#CacheStore), following
+//. [RFC9111][].
+//.
+//. - GET requests are answered from the cache for as long as the stored
+//.   Response is fresh according to its Cache-Control or Expires headers,
+//.   or, lacking those, a tenth of the time since it was last modified.
+//.   The Age header of the Response is set to the age of the stored copy.
+//. - Stale Responses with an ETag or Last-Modified header are revalidated
+//.   using a conditional request. When the server responds with a 304, the
+//.   stored Response is updated with the new headers and returned instead.
+//. - Responses are stored per URL, and per combination of the request
+//.   header values named by their Vary header. Responses with `Vary: *`,
+//.   or with a `no-store` directive, are never stored.
+//. - The `no-store`, `no-cache` and `max-age` directives in the
+//.   Cache-Control header of the Request are honoured.
+//. - Requests with other methods, and GET requests which already carry
+//.   conditional headers, are sent as they are. Successful requests with
+//.   unsafe methods, such as POST, remove the stored Responses for their URL.
+//.
+//. Responses that are stored have their body fully buffered in memory, so
+//. only Responses with bodies of up to 1 MiB are stored. Use
+//. [`cachedWith`](#cachedWith) to pick a different limit.
+//. The Responses resolved by this function always belong to the given
+//. Request, even when a conditional request was made to produce them.
+//.
+//. ```js
+//. const store = memoryCacheStore (new Map ());
+//. const request = Request ({}) ('https://example.com') (emptyStream);
+//.
+//. cached (store) (request)
+//. .pipe (chain (() => cached (store) (request)))
+//. .pipe (chain (autoBufferResponse))
+//. ```
+export const cached = store => cachedWith ({maxBytes: 1048576}) (store);
+
+//# cachedWith :: Object -> CacheStore -> Request -> Future Error Response
+//.
+//. A version of [`cached`](#cached) which takes an Object of options as its
+//. first argument. The following options are supported:
+//.
+//. - `maxBytes`: The maximum size of a Response body to store. Responses
+//.   which declare a larger Content-Length are passed through without
+//.   buffering them, and Responses which turn out to be larger while they
+//.   are being buffered are passed through with the data buffered so far
+//.   put back in front of their body. Leave it out to store Responses of
+//.   any size.
+export const cachedWith = options => cachedVia (defaultClient) (options);
+
+//# cachedVia :: Client -> Object -> CacheStore -> Request -> Future Error Response
+//.
+//. A version of [`cachedWith`](#cachedWith) which sends every request that
+//. cannot be answered from the cache through the given [Client](#Client).
+export const cachedVia = client => options => store => request => {
+  const {method, headers: rawHeaders} = cleanRequestOptions (request);
+  const headers = lowerCaseHeaders (rawHeaders);
+  const send = sendRequestVia (client);
+  const directives = parseCacheControl (headers['cache-control']);
+  const location = new URL (Request.url (request));
+  location.hash = '';
+  const key = location.href;
+  const exceeds = size => options.maxBytes != null && size > options.maxBytes;
+
+  if (method !== 'GET') {
+    return send (request).pipe (chain (response => (
+      safeMethods.includes (method) ||
+      Response.message (response).statusCode >= 400 ?
+      resolve (response) :
+      CacheStore.remove (store) (key).pipe (map (() => response))
+    )));
+  }
+
+  if (hasProp ('no-store') (directives) ||
+      conditionHeaders.some (name => hasProp (name) (headers))) {
+    return send (request);
+  }
+
+  const cachedResponse = now => entry => (
+    cachedMessage (now) (entry).pipe (map (Response (request)))
+  );
+
+  return CacheStore.get (store) (key).pipe (chain (stored => {
+    const entries = stored == null ? [] : stored;
+    const entry = entries.find (matchesVary (headers));
+    const others = entries.filter (y => y !== entry);
+    const save = x => CacheStore.set (store) (key) (others.concat ([x]));
+    const requestTime = Date.now ();
+
+    if (entry != null && isFresh (directives) (requestTime) (entry)) {
+      return cachedResponse (requestTime) (entry);
+    }
+
+    const validators = entry == null ? [] : validatorHeaders (entry);
+    const conditional = mapHeaders (xs => xs.concat (validators)) (request);
+
+    return send (conditional).pipe (chain (response => {
+      const message = Response.message (response);
+      const responseTime = Date.now ();
+
+      if (validators.length > 0 && message.statusCode === 304) {
+        message.resume ();
+        const updated = Object.assign ({}, entry, {
+          headers: Object.assign (
+            withoutHeaders (['age', 'date']) (entry.headers),
+            withoutHeaders (['content-length']) (message.headers)
+          ),
+          requestTime: requestTime,
+          responseTime: responseTime,
+        });
+        return save (updated).pipe (chain (() => (
+          cachedResponse (responseTime) (updated)
+        )));
+      }
+
+      const pending = cacheEntry (headers)
+                                 (requestTime)
+                                 (responseTime)
+                                 (message);
+
+      if (!(isStorable (directives) (pending (null)))) {
+        const passed = resolve (Response (request) (message));
+        return entry == null ? passed : (
+          CacheStore.set (store) (key) (others).pipe (chain (() => passed))
+        );
+      }
+
+      const declared = contentLength (message.headers);
+      if (declared != null && exceeds (declared)) {
+        return resolve (Response (request) (message));
+      }
+
+      return bufferUpTo (options.maxBytes) (message)
+      .pipe (mapRej (e => new BodyDecodeError (e, request, response)))
+      .pipe (chain (({chunks, complete}) => {
+        if (!complete) {
+          return resolve (Response (request) (unshiftedMessage (chunks)
+                                                                (message)));
+        }
+        const x = pending (Buffer.concat (chunks));
+        return save (x).pipe (chain (() => cachedResponse (responseTime) (x)));
+      }));
+    }));
+  }));
+};
+
+//# acceptStatus :: Number -> Response -> Future Response Response
+//.
+//. This function "tags" a [Response](#Response) based on a given status code.
+//. If the response status matches the given status code, the returned Future
+//. will resolve. If it doesn't, the returned Future will reject.
+//.
+//. See also [`matchStatus`](#matchStatus), which will probably be more useful
+//. in most cases.
+//.
+//. The idea is that you can compose this function with one that returns a
+//. Response, and reject any responses that don't meet the expected status
+//. code.
+//.
+//. In combination with [`responseToError`](#responseToError), you can then
+//. flatten it back into the outer Future. The usage example under the
+//. [Http](#http) section shows this.
+export const acceptStatus = code => matchStatus (reject) ({[code]: resolve});
+
+//    hasZlibHeader :: Buffer -> Boolean
+//
+//    Tells whether the given deflate data is wrapped in a zlib header, as
+//    the specification requires, or is raw, as some servers send it.
+const hasZlibHeader = head => (
+  (head[0] & 0x0F) === 8 && ((head[0] << 8) | head[1]) % 31 === 0
+);
+
+//    decoders :: StrMap (Buffer -> Duplex)
+const decoders = {
+  'br': () => createBrotliDecompress (),
+  'deflate': head => (
+    hasZlibHeader (head) ? createInflate () : createInflateRaw ()
+  ),
+  'gzip': () => createGunzip (),
+  'x-gzip': () => createGunzip (),
+};
+
+//    lazyDecoder :: (Buffer -> Duplex) -> Duplex
+//
+//    Postpones the creation of a decoder until the first bytes of the body
+//    are known, so that the decoder can be selected based on them, and so
+//    that empty bodies, such as those of responses to HEAD requests, pass
+//    through without being decoded.
+const lazyDecoder = create => {
+  let head = Buffer.alloc (0);
+  let decoder = null;
+  const start = () => {
+    decoder = create (head);
+    decoder.on ('data', chunk => {
+      if (!(duplex.push (chunk))) { decoder.pause (); }
+    });
+    decoder.once ('end', () => { duplex.push (null); });
+    decoder.once ('error', e => { duplex.destroy (e); });
+  };
+  const duplex = new Duplex ({
+    write: (chunk, encoding, callback) => {
+      if (decoder != null) {
+        decoder.write (chunk, callback);
+        return;
+      }
+      head = Buffer.concat ([head, chunk]);
+      if (head.length < 2) {
+        callback ();
+        return;
+      }
+      start ();
+      decoder.write (head, callback);
+    },
+    final: callback => {
+      if (decoder == null && head.length === 0) {
+        duplex.push (null);
+      } else {
+        if (decoder == null) { start (); decoder.write (head); }
+        decoder.end ();
+      }
+      callback ();
+    },
+    read: () => {
+      if (decoder != null) { decoder.resume (); }
+    },
+    destroy: (e, callback) => {
+      if (decoder != null) { decoder.destroy (); }
+      callback (e);
+    },
+  });
+  return duplex;
+};
+
+//    encodingHeaders :: Array String
+const encodingHeaders = ['content-encoding', 'content-length'];
+
+//# decompressMessage :: IncomingMessage -> Future Error IncomingMessage
+//.
+//. Given an [IncomingMessage][], inspects its Content-Encoding header, and
+//. returns a Future of a message whose body is decoded accordingly. The
+//. gzip, deflate, and br (brotli) encodings are supported, and multiple
+//. encodings are decoded in the reverse order of their application.
+//.
+//. The decoded message is a [Readable][] stream that carries over the
+//. `headers`, `statusCode`, `statusMessage`, and `httpVersion` of the
+//. original message, except for the Content-Encoding and Content-Length
+//. headers, which no longer apply. Messages without encoding are returned
+//. as-is. Empty bodies, such as those of responses to HEAD requests, are
+//. left empty, and deflate data is accepted with or without its zlib
+//. wrapper.
+//.
+//. If the message uses an unsupported encoding, the Future rejects with a
+//. [BodyDecodeError](#BodyDecodeError). If the body turns out to be corrupt,
+//. the decoded stream emits an error, which causes buffering functions such
+//. as [`bufferMessage`](#bufferMessage) to reject with a BodyDecodeError.
+//.
+//. See also [`decodeResponse`](#decodeResponse).
+export const decompressMessage = message => {
+  const encodings = String (message.headers['content-encoding'] || '')
+                    .split (',')
+                    .map (x => x.trim ().toLowerCase ())
+                    .filter (x => x !== '' && x !== 'identity')
+                    .reverse ();
+  if (encodings.length === 0) {
+    return resolve (message);
+  }
+  const unsupported = encodings.find (x => !(hasProp (x) (decoders)));
+  if (unsupported != null) {
+    return reject (new BodyDecodeError (
+      new Error (`Unsupported content encoding: ${unsupported}`), null, null
+    ));
+  }
+  return attempt (() => {
+    const streams = encodings.map (x => lazyDecoder (decoders[x]));
+    const decoded = streamPipeline (message, ...streams, () => {});
+    decoded.headers = Object.fromEntries (
+      Object.entries (message.headers)
+      .filter (([name]) => !(encodingHeaders.includes (name)))
+    );
+    decoded.statusCode = message.statusCode;
+    decoded.statusMessage = message.statusMessage;
+    decoded.httpVersion = message.httpVersion;
+    return decoded;
+  });
+};
+
+//# decodeResponse :: Response -> Future Error Response
+//.
+//. A version of [`decompressMessage`](#decompressMessage) that operates on
+//. a [Response](#Response), returning a new Response with the decoded
+//. message.
+//.
+//. ```js
+//. sendRequest (acceptEncoding (Request ({}) ('https://example.com')
+//.                                         (emptyStream)))
+//. .pipe (chain (decodeResponse))
+//. .pipe (chain (bufferResponse ('utf8')))
+//. ```
+export const decodeResponse = response => (
+  decompressMessage (Response.message (response))
+  .pipe (mapRej (withContext (Response.request (response)) (response)))
+  .pipe (map (Response (Response.request (response))))
+);
+
+//# acceptEncoding :: Request -> Request
+//.
+//. Given a [Request](#Request), returns a new Request with an
+//. Accept-Encoding header listing the encodings supported by
+//. [`decompressMessage`](#decompressMessage). Any existing Accept-Encoding
+//. header is replaced.
+//.
+//. Servers only compress their responses when asked to, so this function
+//. should be used in combination with [`decodeResponse`](#decodeResponse),
+//. or one of the auto-buffering functions.
+export const acceptEncoding = setHeader ('Accept-Encoding')
+                                      ('gzip, deflate, br');
+
+//# bufferMessageWith :: Object -> Charset -> IncomingMessage -> Future Error String
+//.
+//. A version of [`bufferMessage`](#bufferMessage) which takes the same
+//. options as [`bufferWith`](#bufferWith).
+export const bufferMessageWith = options => charset => message => (
+  mapRej (e => (
+    e instanceof HttpError ? e : new BodyDecodeError (e, null, null)
+  )) (bufferStringWith (options) (charset) (message))
+);
+
+//# bufferMessage :: Charset -> IncomingMessage -> Future Error String
+//.
+//. A version of [`buffer`](#buffer) specialized in [IncomingMessage][]s.
+//.
+//. See also [`bufferResponse`](#bufferResponse) and
+//. [`autoBufferMessage`](#autoBufferMessage).
+//.
+//. Given a charset and an IncomingMessage, returns a Future with the buffered,
+//. encoded, message body. If buffering or encoding fails, the Future rejects
+//. with a [BodyDecodeError](#BodyDecodeError).
+export const bufferMessage = bufferMessageWith ({});
+
+//# bufferResponseWith :: Object -> Charset -> Response -> Future Error String
+//.
+//. A version of [`bufferResponse`](#bufferResponse) which takes the same
+//. options as [`bufferWith`](#bufferWith).
+export const bufferResponseWith = options => charset => response => (
+  mapRej (withContext (Response.request (response)) (response))
+         (bufferMessageWith (options) (charset) (Response.message (response)))
+);
+
+//# bufferResponse :: Charset -> Response -> Future Error String
+//.
+//. A composition of [`Response.message`](#Response.message) and
+//. [`bufferMessage`](#bufferMessage) for your convenience.
+//.
+//. See also [autoBufferResponse](#autoBufferResponse).
+export const bufferResponse = bufferResponseWith ({});
+
+//    messageCharset :: IncomingMessage -> Charset
+const messageCharset = message => {
+  const contentType = message.headers['content-type'] || defaultContentType;
+  const parsed = charsetRegex.exec (contentType);
+  return parsed == null ? defaultCharset : parsed[1];
+};
+
+//# autoBufferMessageWith :: Object -> IncomingMessage -> Future Error String
+//.
+//. A version of [`autoBufferMessage`](#autoBufferMessage) which takes the
+//. same options as [`bufferWith`](#bufferWith). Additionally, decompression
+//. of the message body can be disabled by setting the `decompress` option
+//. to `false`.
+export const autoBufferMessageWith = options => message => {
+  const charset = messageCharset (message);
+  return options.decompress === false ?
+         bufferMessageWith (options) (charset) (message) :
+         decompressMessage (message)
+         .pipe (chain (bufferMessageWith (options) (charset)));
+};
+
+//# autoBufferMessage :: IncomingMessage -> Future Error String
+//.
+//. Given an IncomingMessage, buffers and decodes the message body using the
+//. charset provided in the message headers. Falls back to UTF-8 if the
+//. charset was not provided. Compressed message bodies are decompressed
+//. first, using [`decompressMessage`](#decompressMessage).
+//.
+//. Returns a Future with the buffered, encoded, message body.
+//.
+//. See also [bufferMessage](#bufferMessage).
+export const autoBufferMessage = autoBufferMessageWith ({});
+
+//# autoBufferResponseWith :: Object -> Response -> Future Error String
+//.
+//. A version of [`autoBufferResponse`](#autoBufferResponse) which takes the
+//. same options as [`bufferWith`](#bufferWith).
+export const autoBufferResponseWith = options => response => (
+  mapRej (withContext (Response.request (response)) (response))
+         (autoBufferMessageWith (options) (Response.message (response)))
+);
+
+//# autoBufferResponse :: Response -> Future Error String
+//.
+//. A composition of [`Response.message`](#Response.message) and
+//. [`autoBufferMessage`](#autoBufferMessage) for your convenience.
+//.
+//. See also [bufferResponse](#bufferResponse).
+export const autoBufferResponse = autoBufferResponseWith ({});
+
+//    jsonErrorPosition :: String -> Number
+//
+//    Returns the index of the first character at which the given text stops
+//    being valid JSON. Error messages of JSON.parse differ between engines
+//    and versions, and do not always mention a position, so we find it
+//    ourselves.
+const jsonErrorPosition = text => {
+  let i = 0;
+  const skipBlank = () => {
+    while (i < text.length && ' \t\n\r'.includes (text[i])) {
+      i += 1;
+    }
+  };
+  const expect = pattern => {
+    if (i < text.length && pattern.test (text[i])) {
+      i += 1;
+      return true;
+    }
+    return false;
+  };
+  const digits = () => {
+    const from = i;
+    while (i < text.length && text[i] >= '0' && text[i] <= '9') {
+      i += 1;
+    }
+    return i > from;
+  };
+  const word = w => {
+    for (let j = 0; j < w.length; j += 1, i += 1) {
+      if (text[i] !== w[j]) {
+        return false;
+      }
+    }
+    return true;
+  };
+  const string = () => {
+    i += 1;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] < ' ') {
+        return false;
+      }
+      if (text[i] !== '\\') {
+        i += 1;
+      } else {
+        i += 1;
+        const escape = expect (/["\\/bfnrt]/) || (
+          expect (/u/) && [0, 1, 2, 3].every (() => expect (/[0-9a-f]/i))
+        );
+        if (!escape) {
+          return false;
+        }
+      }
+    }
+    return expect (/"/);
+  };
+  const exponent = () => {
+    expect (/[+-]/);
+    return digits ();
+  };
+  const number = () => {
+    expect (/-/);
+    return (expect (/0/) || digits ()) &&
+           (!(expect (/\./)) || digits ()) &&
+           (!(expect (/[eE]/)) || exponent ());
+  };
+  const colon = () => {
+    skipBlank ();
+    return expect (/:/);
+  };
+  const members = (close, member) => {
+    i += 1;
+    skipBlank ();
+    if (expect (close)) {
+      return true;
+    }
+    do {
+      if (!(member ())) {
+        return false;
+      }
+    } while (expect (/,/));
+    return expect (close);
+  };
+  const value = () => {
+    skipBlank ();
+    const c = text[i];
+    const valid = (
+      c === '{' ? members (/\}/, () => {
+        skipBlank ();
+        return text[i] === '"' && string () && colon () && value ();
+      }) :
+      c === '[' ? members (/\]/, value) :
+      c === '"' ? string () :
+      c === 't' ? word ('true') :
+      c === 'f' ? word ('false') :
+      c === 'n' ? word ('null') :
+      c === '-' || (c >= '0' && c <= '9') ? number () :
+      false
+    );
+    skipBlank ();
+    return valid;
+  };
+  value ();
+  return i;
+};
+
+//    parseJsonAt :: Number -> Number -> String -> Any
+const parseJsonAt = line => offset => text => {
+  try {
+    return JSON.parse (text);
+  } catch (e) {
+    const position = jsonErrorPosition (text);
+    const lines = text.slice (0, position).split ('\n').length - 1;
+    throw new JsonParseError (e, line + lines, offset + position, null, null);
+  }
+};
+
+//    jsonStreamOf :: (Charset -> (String, Boolean, Any -> Undefined) -> Undefined) -> IncomingMessage -> Future Error (Readable Any)
+const jsonStreamOf = parser => message => (
+  decompressMessage (message).pipe (chain (encase (decoded => {
+    const decoder = new StringDecoder (messageCharset (message));
+    const parse = parser ();
+    const emit = x => { transform.push (x == null ? undefined : x); };
+    const run = (text, final, callback) => {
+      try {
+        parse (text, final, emit);
+        callback ();
+      } catch (e) {
+        callback (e);
+      }
+    };
+    const transform = new Transform ({
+      readableObjectMode: true,
+      transform: (chunk, encoding, callback) => {
+        run (decoder.write (chunk), false, callback);
+      },
+      flush: callback => { run (decoder.end (), true, callback); },
+    });
+    return streamPipeline (decoded, transform, () => {});
+  })))
+  .pipe (mapRej (e => (
+    e instanceof HttpError ? e : new BodyDecodeError (e, null, null)
+  )))
+);
+
+//    ndjsonParser :: () -> (String, Boolean, Any -> Undefined) -> Undefined
+const ndjsonParser = () => {
+  let pending = [];
+  let line = 1;
+  let offset = 0;
+  return (text, final, emit) => {
+    const lines = text.split ('\n');
+    pending.push (lines.shift ());
+    if (lines.length > 0) {
+      lines.unshift (pending.join (''));
+      pending = [lines.pop ()];
+    }
+    if (final) {
+      lines.push (pending.join (''));
+      pending = [];
+    }
+    lines.forEach (x => {
+      if (x.trim () !== '') {
+        emit (parseJsonAt (line) (offset) (x));
+      }
+      line += 1;
+      offset += x.length + 1;
+    });
+  };
+};
+
+//# streamNdjson :: IncomingMessage -> Future Error (Readable Any)
+//.
+//. Given an [IncomingMessage][] with a body of newline delimited JSON,
+//. returns a Future of a [Readable][] stream in object mode, which emits
+//. the parsed value of every line as soon as that line is received. Blank
+//. lines are ignored. This allows for large responses to be processed
+//. without buffering them into memory first.
+//.
+//. The message body is decompressed using
+//. [`decompressMessage`](#decompressMessage), and decoded using the
+//. charset provided in the message headers. If a line does not contain
+//. valid JSON, the stream emits a [JsonParseError](#JsonParseError).
+//.
+//. Because Readable streams use `null` to signal their end, JSON `null`
+//. values are emitted as `undefined`.
+//.
+//. ```js
+//. retrieve ('https://example.com/export.ndjson') ({})
+//. .pipe (map (Response.message))
+//. .pipe (chain (streamNdjson))
+//. .pipe (chain (stream => Future ((rej, res) => {
+//.   stream.on ('data', record => console.log (record));
+//.   stream.on ('error', rej);
+//.   stream.on ('end', res);
+//.   return () => { stream.destroy (); };
+//. })))
+//. ```
+export const streamNdjson = jsonStreamOf (ndjsonParser);
+
+//    jsonArrayParser :: () -> (String, Boolean, Any -> Undefined) -> Undefined
+const jsonArrayParser = () => {
+  let state = 'start';
+  let pending = '';
+  let inValue = false;
+  let from = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let afterComma = false;
+  let line = 1;
+  let offset = 0;
+  let start = [1, 0];
+  const fail = message => {
+    throw new JsonParseError (
+      new SyntaxError (message), line, offset, null, null
+    );
+  };
+  const endValue = (chunk, end) => {
+    const value = parseJsonAt (start[0])
+                              (start[1])
+                              (pending + chunk.slice (from, end));
+    pending = '';
+    inValue = false;
+    return value;
+  };
+  const step = (chunk, i, emit) => {
+    const c = chunk[i];
+    const blank = c === ' ' || c === '\n' || c === '\r' || c === '\t';
+    if (state === 'start') {
+      if (c === '[') {
+        state = 'array';
+      } else if (!blank) {
+        fail (`Unexpected token ${c}, expected [`);
+      }
+    } else if (state === 'end') {
+      if (!blank) {
+        fail (`Unexpected token ${c} after the end of the array`);
+      }
+    } else if (inString) {
+      inString = escaped || c !== '"';
+      escaped = !escaped && c === '\\';
+    } else if (depth === 0 && (c === ',' || c === ']')) {
+      if (inValue) {
+        emit (endValue (chunk, i));
+      } else if (c === ',' || afterComma) {
+        fail (`Unexpected token ${c}`);
+      }
+      afterComma = c === ',';
+      state = c === ']' ? 'end' : state;
+    } else if (inValue || !blank) {
+      if (!inValue) {
+        inValue = true;
+        from = i;
+        start = [line, offset];
+      }
+      if (c === '}' || c === ']') {
+        if (depth === 0) {
+          fail (`Unexpected token ${c}`);
+        }
+        depth -= 1;
+      }
+      depth += c === '{' || c === '[' ? 1 : 0;
+      inString = c === '"';
+    }
+    line += c === '\n' ? 1 : 0;
+    offset += 1;
+  };
+  return (chunk, final, emit) => {
+    from = 0;
+    for (let i = 0; i < chunk.length; i += 1) {
+      step (chunk, i, emit);
+    }
+    if (inValue) {
+      pending += chunk.slice (from);
+    }
+    if (final && state !== 'end') {
+      fail ('Unexpected end of JSON input');
+    }
+  };
+};
+
+//# streamJsonArray :: IncomingMessage -> Future Error (Readable Any)
+//.
+//. Given an [IncomingMessage][] with a body consisting of a JSON array,
+//. returns a Future of a [Readable][] stream in object mode, which emits
+//. the parsed value of every element in the array as soon as that element
+//. is received. This allows for large responses to be processed without
+//. buffering them into memory first.
+//.
+//. Like [`streamNdjson`](#streamNdjson), the message body is decompressed
+//. and decoded using the charset provided in the message headers, JSON
+//. `null` values are emitted as `undefined`, and the stream emits a
+//. [JsonParseError](#JsonParseError) if the body is not a valid JSON array.
+export const streamJsonArray = jsonStreamOf (jsonArrayParser);
+
+//    isJsonContentType :: String -> Boolean
+const isJsonContentType = contentType => (
+  /^application\/([^;\s]+\+)?json\s*(;|$)/i.test (contentType)
+);
+
+//# bufferJson :: IncomingMessage -> Future Error Any
+//.
+//. Given an [IncomingMessage][], buffers and parses the JSON message body
+//. using [`autoBufferMessage`](#autoBufferMessage), so the body is also
+//. decompressed and decoded using the charset provided in the message
+//. headers.
+//.
+//. If the Content-Type header of the message does not indicate JSON, such
+//. as `application/json` or `application/problem+json`, the Future rejects
+//. with a [ContentTypeError](#ContentTypeError) without consuming the body.
+//. If the body is not valid JSON, the Future rejects with a
+//. [JsonParseError](#JsonParseError).
+//.
+//. The body is buffered without a size limit. Use
+//. [`bufferJsonWith`](#bufferJsonWith) to impose one.
+//.
+//. See also [`bufferJsonResponse`](#bufferJsonResponse).
+export const bufferJson = message => bufferJsonWith ({}) (message);
+
+//# bufferJsonWith :: Object -> IncomingMessage -> Future Error Any
+//.
+//. A version of [`bufferJson`](#bufferJson) which takes the same options as
+//. [`autoBufferMessageWith`](#autoBufferMessageWith), such as `maxBytes`.
+//.
+//. ```js
+//. retrieve ('https://example.com/users/1') ({Accept: 'application/json'})
+//. .pipe (map (Response.message))
+//. .pipe (chain (bufferJsonWith ({maxBytes: 65536})))
+//. ```
+export const bufferJsonWith = options => message => {
+  const contentType = message.headers['content-type'] || '';
+  return isJsonContentType (contentType) ?
+         autoBufferMessageWith (options) (message)
+         .pipe (chain (encase (parseJsonAt (1) (0)))) :
+         reject (new ContentTypeError (contentType, null, null));
+};
+
+//# bufferJsonResponse :: Response -> Future Error Any
+//.
+//. A composition of [`Response.message`](#Response.message) and
+//. [`bufferJson`](#bufferJson) for your convenience.
+//.
+//. ```js
+//. retrieve ('https://example.com/users/1') ({Accept: 'application/json'})
+//. .pipe (chain (bufferJsonResponse))
+//. ```
+export const bufferJsonResponse = response => (
+  bufferJsonResponseWith ({}) (response)
+);
+
+//# bufferJsonResponseWith :: Object -> Response -> Future Error Any
+//.
+//. A version of [`bufferJsonResponse`](#bufferJsonResponse) which takes the
+//. same options as [`bufferJsonWith`](#bufferJsonWith).
+export const bufferJsonResponseWith = options => response => (
+  mapRej (withContext (Response.request (response)) (response))
+         (bufferJsonWith (options) (Response.message (response)))
+);
+
+//    maxPartHeaderSize :: Number
+const maxPartHeaderSize = 16384;
+
+//    multipartError :: String -> BodyDecodeError
+const multipartError = message => (
+  new BodyDecodeError (new Error (message), null, null)
+);
+
+//    parsePartHeaders :: Buffer -> StrMap String
+const parsePartHeaders = buf => (
+  buf.toString ().split ('\r\n').reduce ((headers, line) => {
+    const index = line.indexOf (':');
+    if (index < 1) {
+      throw multipartError ('Malformed multipart header: ' + line);
+    }
+    const name = line.slice (0, index).trim ().toLowerCase ();
+    const value = line.slice (index + 1).trim ();
+    return Object.assign (headers, {
+      [name]: hasProp (name) (headers) ? headers[name] + ', ' + value : value,
+    });
+  }, {})
+);
+
+//    multipartParts :: Object -> String -> IncomingMessage -> Readable BodyPart
+const multipartParts = options => boundary => message => {
+  const delimiter = Buffer.from ('\r\n--' + boundary);
+  let buffered = Buffer.from ('\r\n');
+  let state = 'preamble';
+  let part = null;
+  let partSize = 0;
+  let totalSize = 0;
+
+  const writePart = chunk => {
+    partSize += chunk.length;
+    if (options.maxPartSize != null && partSize > options.maxPartSize) {
+      throw new PayloadTooLargeError (
+        'Multipart part', options.maxPartSize, null, null
+      );
+    }
+    if (chunk.length > 0 && !(part.push (chunk))) {
+      message.pause ();
+    }
+  };
+
+  const parse = () => {
+    for (;;) {
+      if (state === 'preamble' || state === 'body') {
+        const index = buffered.indexOf (delimiter);
+        const safe = index < 0 ?
+                     Math.max (0, buffered.length - delimiter.length + 1) :
+                     index;
+        if (state === 'body') {
+          writePart (buffered.subarray (0, safe));
+        }
+        if (index < 0) {
+          buffered = buffered.subarray (safe);
+          return;
+        }
+        if (state === 'body') {
+          part.push (null);
+          part = null;
+        }
+        buffered = buffered.subarray (index + delimiter.length);
+        state = 'delimiter';
+      } else if (state === 'delimiter') {
+        const index = buffered.indexOf ('\r\n');
+        if (buffered.length >= 2 && buffered[0] === 45 && buffered[1] === 45) {
+          state = 'epilogue';
+          parts.push (null);
+        } else if (index < 0) {
+          return;
+        } else if (/^[ \t]*$/.test (buffered.toString ('latin1', 0, index))) {
+          buffered = buffered.subarray (index + 2);
+          state = 'headers';
+        } else {
+          throw multipartError ('Malformed multipart boundary');
+        }
+      } else if (state === 'headers') {
+        const empty = buffered.indexOf ('\r\n') === 0;
+        const index = empty ? 0 : buffered.indexOf ('\r\n\r\n');
+        if (index < 0) {
+          if (buffered.length > maxPartHeaderSize) {
+            throw new PayloadTooLargeError (
+              'Multipart header', maxPartHeaderSize, null, null
+            );
+          }
+          return;
+        }
+        const headers = empty ?
+                        {} :
+                        parsePartHeaders (buffered.subarray (0, index));
+        buffered = buffered.subarray (index + (empty ? 2 : 4));
+        partSize = 0;
+        part = new Readable ({read: () => { message.resume (); }});
+        parts.push ({headers, body: part});
+        state = 'body';
+      } else {
+        buffered = Buffer.alloc (0);
+        return;
+      }
+    }
+  };
+
+  const cleanup = () => {
+    message.removeListener ('data', onData);
+    message.removeListener ('end', onEnd);
+    message.removeListener ('error', onError);
+  };
+
+  const onError = e => {
+    cleanup ();
+    if (part != null) {
+      part.destroy (e);
+    }
+    parts.destroy (e);
+  };
+
+  const onData = chunk => {
+    totalSize += chunk.length;
+    buffered = Buffer.concat ([buffered, chunk]);
+    try {
+      if (options.maxTotalSize != null && totalSize > options.maxTotalSize) {
+        throw new PayloadTooLargeError (
+          'Multipart body', options.maxTotalSize, null, null
+        );
+      }
+      parse ();
+    } catch (e) {
+      onError (e);
+    }
+  };
+
+  const onEnd = () => {
+    if (state === 'epilogue') {
+      cleanup ();
+    } else {
+      onError (multipartError ('Unexpected end of multipart body'));
+    }
+  };
+
+  const parts = new Readable ({
+    objectMode: true,
+    read: () => {},
+    destroy: (e, callback) => {
+      cleanup ();
+      if (part != null) {
+        part.destroy ();
+      }
+      callback (e);
+    },
+  });
+
+  message.on ('data', onData);
+  message.once ('end', onEnd);
+  message.once ('error', onError);
+  return parts;
+};
+
+//    multipartBoundaryRegex :: RegExp
+const multipartBoundaryRegex = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i;
+
+//# parseMultipartWith :: Object -> IncomingMessage -> Future Error (Readable BodyPart)
+//.
+//. A version of [`parseMultipart`](#parseMultipart) which takes an options
+//. Object with the following optional properties:
+//.
+//. - `maxPartSize`: The maximum size of any single part body, in bytes.
+//. - `maxTotalSize`: The maximum size of the entire message body, in bytes.
+//.
+//. When a limit is exceeded, the stream of parts, and the body of the part
+//. that is being received, emit a
+//. [PayloadTooLargeError](#PayloadTooLargeError).
+export const parseMultipartWith = options => message => {
+  const contentType = message.headers['content-type'] || '';
+  const parsed = multipartBoundaryRegex.exec (contentType);
+  return (
+    !(/^multipart\//i.test (contentType)) ?
+    reject (new ContentTypeError (contentType, null, null)) :
+    parsed == null ?
+    reject (multipartError ('Missing multipart boundary')) :
+    attempt (() => (
+      multipartParts (options) (parsed[1] || parsed[2]) (message)
+    ))
+  );
+};
+
+//# parseMultipart :: IncomingMessage -> Future Error (Readable BodyPart)
+//.
+//. Given an [IncomingMessage][] with a `multipart/*` content type, such as
+//. `multipart/form-data`, `multipart/mixed`, or `multipart/byteranges`,
+//. returns a Future of a [Readable][] stream in object mode, which emits
+//. the parts of the message as they are received. Every part is an Object
+//. with the following properties:
+//.
+//. - `headers`: A StrMap of the part headers, with lower-cased names.
+//. - `body`: A Readable stream of Buffers with the part body.
+//.
+//. The body of every part must be consumed before the next part is
+//. received. If the message is not multipart, the Future rejects with a
+//. [ContentTypeError](#ContentTypeError). If the message body turns out to
+//. be malformed, the stream emits a [BodyDecodeError](#BodyDecodeError).
+//. Destroying the stream of parts stops it from listening to the message.
+//.
+//. This function can be used on the messages received by a client, as well
+//. as on the requests received by a server.
+//.
+//. See also [`bufferMultipart`](#bufferMultipart).
+export const parseMultipart = parseMultipartWith ({});
+
+//# bufferMultipartWith :: Object -> IncomingMessage -> Future Error (Array BodyPart)
+//.
+//. A version of [`bufferMultipart`](#bufferMultipart) which takes the same
+//. options as [`parseMultipartWith`](#parseMultipartWith). When a limit is
+//. exceeded, the Future rejects with a
+//. [PayloadTooLargeError](#PayloadTooLargeError).
+export const bufferMultipartWith = options => message => (
+  parseMultipartWith (options) (message).pipe (chain (parts => (
+    Future ((rej, res) => {
+      const results = [];
+      let pending = 1;
+      const settle = () => {
+        pending -= 1;
+        if (pending === 0) {
+          res (results.map (({headers, chunks}) => ({
+            headers: headers,
+            body: Buffer.concat (chunks),
+          })));
+        }
+      };
+      const onPart = ({headers, body}) => {
+        const chunks = [];
+        pending += 1;
+        results.push ({headers, chunks});
+        body.on ('data', chunk => { chunks.push (chunk); });
+        body.on ('error', () => {});
+        body.once ('end', settle);
+      };
+      parts.on ('data', onPart);
+      parts.once ('error', rej);
+      parts.once ('end', settle);
+      return () => {
+        parts.removeListener ('data', onPart);
+        parts.removeListener ('error', rej);
+        parts.removeListener ('end', settle);
+        parts.destroy ();
+      };
+    })
+  )))
+);
+
+//# bufferMultipart :: IncomingMessage -> Future Error (Array BodyPart)
+//.
+//. A version of [`parseMultipart`](#parseMultipart) which buffers the body
+//. of every part, and resolves with an Array of the parts, where every part
+//. body is a [Buffer][].
+//.
+//. ```js
+//. const handler = message => (
+//.   bufferMultipart (message)
+//.   .pipe (map (parts => Reply (200) ({}) (streamOf (Buffer.from (
+//.     `Received ${parts.length} parts`
+//.   )))))
+//. );
+//.
+//. serve ({port: 3000}) (handler);
+//. ```
+export const bufferMultipart = bufferMultipartWith ({});
+
+//# responseToError :: Response -> Future Error a
+//.
+//. Given a [Response](#Response), returns a *rejected* Future of an
+//. [HttpStatusError](#HttpStatusError) with a message based on the content
+//. of the response.
+export const responseToError = response => (
+  autoBufferResponse (response)
+  .pipe (chain (body => reject (new HttpStatusError (response, body))))
+);
+
+//    defaultEventRetry :: Number
+const defaultEventRetry = 3000;
+
+//    eventRequest :: String -> Request -> Request
+const eventRequest = lastEventId => request => {
+  const streaming = setHeader ('Cache-Control') ('no-cache')
+                              (setHeader ('Accept') ('text/event-stream')
+                                         (request));
+  return lastEventId === '' ?
+         streaming :
+         setHeader ('Last-Event-ID') (lastEventId) (streaming);
+};
+
+//    consumeEvents :: (Event -> Any) -> EventState -> IncomingMessage -> Future Error EventState
+const consumeEvents = onEvent => state => message => Future ((rej, res) => {
+  const decoder = new StringDecoder ('utf8');
+  let {lastEventId, retry} = state;
+  let type = '';
+  let data = '';
+  let rest = '';
+  let started = false;
+
+  const processLine = line => {
+    const index = line.indexOf (':');
+    const field = index < 0 ? line : line.slice (0, index);
+    const value = index < 0 ? '' : line.slice (index + 1).replace (/^ /, '');
+    if (line === '') {
+      if (data !== '') {
+        onEvent ({
+          type: type || 'message',
+          data: data.slice (0, -1),
+          lastEventId: lastEventId,
+        });
+      }
+      type = '';
+      data = '';
+    } else if (field === 'event') {
+      type = value;
+    } else if (field === 'data') {
+      data += value + '\n';
+    } else if (field === 'id' && !(value.includes ('\0'))) {
+      lastEventId = value;
+    } else if (field === 'retry' && /^[0-9]+$/.test (value)) {
+      retry = Number (value);
+    }
+  };
+
+  const onData = chunk => {
+    const text = rest + decoder.write (chunk);
+    const lines = (started ? text : text.replace (/^\uFEFF/, ''))
+                  .split (/\r\n|\r(?!$)|\n/);
+    started = started || text !== '';
+    rest = lines.pop ();
+    try {
+      lines.forEach (processLine);
+    } catch (e) {
+      cleanup ();
+      message.destroy ();
+      rej (e);
+    }
+  };
+
+  const cleanup = () => {
+    message.removeListener ('data', onData);
+    message.removeListener ('end', onClose);
+    message.removeListener ('close', onClose);
+    message.removeListener ('error', onClose);
+  };
+
+  const onClose = () => {
+    cleanup ();
+    res ({lastEventId, retry});
+  };
+
+  message.on ('data', onData);
+  message.once ('end', onClose);
+  message.once ('close', onClose);
+  message.once ('error', onClose);
+
+  return () => {
+    cleanup ();
+    message.destroy ();
+  };
+});
+
+//# eventSource :: (Event -> Any) -> Request -> Future Error Undefined
+//.
+//. A client for [Server-Sent Events][]. Given a function to call with every
+//. event, and a [Request](#Request), returns a Future which connects to the
+//. event stream, and calls the function with an Object for every event it
+//. receives. The Object has the following properties:
+//.
+//. - `type`: The event type, which is `'message'` unless the server gave
+//.   the event a name.
+//. - `data`: The event data, as a String.
+//. - `lastEventId`: The last event ID received from the server.
+//.
+//. The Request is sent with the appropriate Accept header. When the
+//. connection is lost, the server closes it, or the Request fails with a
+//. [NetworkError](#NetworkError) or [TimeoutError](#TimeoutError), the
+//. Request is sent again after a reconnection delay of three seconds, or the
+//. delay asked for by the server using the `retry` field. The Last-Event-ID
+//. header is included so the server can resume the event stream.
+//.
+//. The Future resolves when the server tells the client to stop
+//. reconnecting, by responding with status 204 (No Content). It rejects
+//. with an [HttpStatusError](#HttpStatusError) when the server responds
+//. with any other status than 200, with a
+//. [ContentTypeError](#ContentTypeError) if the server does not respond
+//. with an event stream, or with any other error the Request fails with.
+//. If the function throws, the connection is closed and the Future rejects
+//. with the thrown error. Redirects are not followed. Cancelling the Future
+//. closes the connection, and stops any reconnection attempts.
+//.
+//. ```js
+//. const request = Request ({}) ('https://example.com/events') (emptyStream);
+//.
+//. eventSource (({type, data}) => console.log (type, data)) (request)
+//. .pipe (fork (console.error) (() => console.log ('Done')));
+//. ```
+export const eventSource = onEvent => eventSourceVia (defaultClient) (onEvent);
+
+//# eventSourceVia :: Client -> (Event -> Any) -> Request -> Future Error Undefined
+//.
+//. A version of [`eventSource`](#eventSource) which sends every connection
+//. attempt through the given [Client](#Client).
+export const eventSourceVia = client => onEvent => request => {
+  const reconnectable = state => e => (
+    e instanceof NetworkError || e instanceof TimeoutError ?
+    resolve (state) :
+    reject (e)
+  );
+  const connect = state => (
+    sendRequestVia (client) (eventRequest (state.lastEventId) (request))
+    .pipe (bichain (reconnectable (state)) (response => {
+      const message = Response.message (response);
+      const contentType = message.headers['content-type'] || '';
+      if (message.statusCode === 204) {
+        message.resume ();
+        return resolve (null);
+      }
+      if (message.statusCode !== 200) {
+        return responseToError (response);
+      }
+      if (!(/^text\/event-stream\s*(;|$)/i.test (contentType))) {
+        message.resume ();
+        return reject (new ContentTypeError (contentType, request, response));
+      }
+      return consumeEvents (onEvent) (state) (message);
+    }))
+    .pipe (chain (next => (
+      next == null ?
+      resolve (undefined) :
+      sleep (next.retry).pipe (chain (() => connect (next)))
+    )))
+  );
+  return connect ({lastEventId: '', retry: defaultEventRetry});
+};
+
+//    webSocketGuid :: String
+const webSocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+//    maskPayload :: Buffer -> Buffer -> Buffer
+const maskPayload = mask => payload => {
+  const masked = Buffer.alloc (payload.length);
+  for (let i = 0; i < payload.length; i += 1) {
+    masked[i] = payload[i] ^ mask[i % 4];
+  }
+  return masked;
+};
+
+//    encodeFrame :: Number -> Buffer -> Buffer
+const encodeFrame = opcode => payload => {
+  const size = payload.length < 126 ? 0 : payload.length < 0x10000 ? 2 : 8;
+  const header = Buffer.alloc (6 + size);
+  const mask = randomBytes (4);
+  header[0] = 0x80 | opcode;
+  header[1] = 0x80 | (size === 0 ? payload.length : size === 2 ? 126 : 127);
+  if (size === 2) {
+    header.writeUInt16BE (payload.length, 2);
+  } else if (size === 8) {
+    header.writeUInt32BE (Math.floor (payload.length / 0x100000000), 2);
+    header.writeUInt32BE (payload.length % 0x100000000, 6);
+  }
+  mask.copy (header, 2 + size);
+  return Buffer.concat ([header, maskPayload (mask) (payload)]);
+};
+
+//    decodeFrameHeader :: Buffer -> Nullable Object
+const decodeFrameHeader = buf => {
+  const length = buf.length < 2 ? 0 : buf[1] & 0x7f;
+  const offset = length === 126 ? 4 : length === 127 ? 10 : 2;
+  if (buf.length < offset) {
+    return null;
+  }
+  const masked = (buf[1] & 0x80) !== 0;
+  return {
+    fin: (buf[0] & 0x80) !== 0,
+    rsv: buf[0] & 0x70,
+    opcode: buf[0] & 0x0f,
+    masked: masked,
+    size: offset + (masked ? 4 : 0),
+    length: (
+      length === 126 ? buf.readUInt16BE (2) :
+      length === 127 ? buf.readUInt32BE (2) * 0x100000000 +
+                       buf.readUInt32BE (6) :
+      length
+    ),
+  };
+};
+
+//    isUtf8 :: Buffer -> Boolean
+const isUtf8 = buf => Buffer.from (buf.toString ('utf8'), 'utf8').equals (buf);
+
+//    isValidCloseCode :: Number -> Boolean
+//
+//    Tells whether the given code may be sent in a close frame, according to
+//    RFC6455 Section 7.4 and the codes registered with IANA since.
+const isValidCloseCode = code => (
+  (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes (code)) ||
+  (code >= 3000 && code <= 4999)
+);
+
+//    closePayload :: Number -> String -> Buffer
+const closePayload = code => reason => {
+  const payload = Buffer.alloc (2);
+  payload.writeUInt16BE (code, 0);
+  return Buffer.concat ([payload, Buffer.from (reason)]);
+};
+
+//    webSocketHandshakeError :: String -> Request -> IncomingMessage
+//                            -> Nullable String
+const webSocketHandshakeError = key => request => message => {
+  const {headers} = message;
+  const requested = lowerCaseHeaders (cleanRequestOptions (request).headers);
+  const protocols = (requested['sec-websocket-protocol'] || '')
+                    .split (',')
+                    .map (x => x.trim ());
+  const accept = createHash ('sha1')
+                 .update (key + webSocketGuid)
+                 .digest ('base64');
+  return (
+    String (headers.upgrade).toLowerCase () !== 'websocket' ?
+    'Invalid Upgrade header' :
+    headers['sec-websocket-accept'] !== accept ?
+    'Invalid Sec-WebSocket-Accept header' :
+    headers['sec-websocket-extensions'] != null ?
+    'Unexpected Sec-WebSocket-Extensions header' :
+    headers['sec-websocket-protocol'] != null &&
+    !(protocols.includes (headers['sec-websocket-protocol'])) ?
+    'Unexpected Sec-WebSocket-Protocol header' :
+    null
+  );
+};
+
+//    defaultMaxPayload :: Number
+const defaultMaxPayload = 104857600;
+
+//    webSocketConnections :: WeakMap WebSocket Object
+const webSocketConnections = new WeakMap ();
+
+//    openWebSocket :: Object -> Request -> Response -> Socket -> Buffer
+//                  -> WebSocket
+//
+//    Takes the `maxPayload` and `closeTimeout` given to connectWebSocketWith.
+const openWebSocket = limits => request => response => socket => head => {
+  const {maxPayload, closeTimeout} = limits;
+  const chunks = [];
+  let size = 0;
+  let header = null;
+  let fragments = null;
+  let closeSent = false;
+  let finished = false;
+  const messages = new Readable ({
+    objectMode: true,
+    read: () => { socket.resume (); },
+  });
+  const finish = error => {
+    if (!finished) {
+      finished = true;
+      if (error == null) {
+        messages.push (null);
+      } else {
+        messages.destroy (error);
+      }
+    }
+  };
+  const sendClose = code => reason => {
+    if (!closeSent) {
+      closeSent = true;
+      socket.write (encodeFrame (0x8) (closePayload (code) (reason)));
+    }
+  };
+  const fail = code => reason => {
+    sendClose (code) (reason);
+    socket.end ();
+    finish (new WebSocketError (reason, code, request, response));
+  };
+  const push = message => {
+    if (!(messages.push (message))) {
+      socket.pause ();
+    }
+  };
+  const deliver = opcode => payload => {
+    if (opcode === 0x2) {
+      push (payload);
+    } else if (isUtf8 (payload)) {
+      push (payload.toString ('utf8'));
+    } else {
+      fail (1007) ('Received a text message with invalid UTF-8');
+    }
+  };
+  const onClose = payload => {
+    const code = payload.length < 2 ? 1005 : payload.readUInt16BE (0);
+    const reason = payload.subarray (2).toString ('utf8');
+    const initiated = closeSent;
+    if (payload.length === 1) {
+      fail (1002) ('Received an invalid close frame');
+      return;
+    }
+    if (payload.length > 1 && !(isValidCloseCode (code))) {
+      fail (1002) (`Received an invalid close code ${code}`);
+      return;
+    }
+    if (!(isUtf8 (payload.subarray (2)))) {
+      fail (1007) ('Received a close reason with invalid UTF-8');
+      return;
+    }
+    sendClose (code === 1005 ? 1000 : code) ('');
+    socket.end ();
+    finish (initiated || code === 1000 || code === 1005 ? null : (
+      new WebSocketError (
+        `WebSocket closed with code ${code}` + (reason && `: ${reason}`),
+        code,
+        request,
+        response
+      )
+    ));
+  };
+  const acceptable = frame => {
+    const pending = frame.opcode === 0x0 && fragments != null ?
+                    fragments.size :
+                    0;
+    if (frame.masked || frame.rsv !== 0) {
+      fail (1002) ('Received a masked frame, or one with reserved bits set');
+      return false;
+    }
+    if (frame.opcode > 0x7 && (!frame.fin || frame.length > 125)) {
+      fail (1002) ('Received a fragmented or oversized control frame');
+      return false;
+    }
+    if (frame.opcode < 0x8 && pending + frame.length > maxPayload) {
+      fail (1009) (`Received a message larger than ${maxPayload} bytes`);
+      return false;
+    }
+    return true;
+  };
+  const onFrame = frame => {
+    if (frame.opcode === 0x8) {
+      onClose (frame.payload);
+    } else if (frame.opcode === 0x9) {
+      socket.write (encodeFrame (0xA) (frame.payload));
+    } else if (frame.opcode === 0xA) {
+      return;
+    } else if (frame.opcode === 0x0 && fragments != null) {
+      fragments.chunks.push (frame.payload);
+      fragments.size += frame.payload.length;
+      if (frame.fin) {
+        const {opcode, chunks} = fragments;
+        fragments = null;
+        deliver (opcode) (Buffer.concat (chunks));
+      }
+    } else if (frame.opcode === 0x0 || frame.opcode > 0x2) {
+      fail (1002) (`Received an unexpected frame with opcode ${frame.opcode}`);
+    } else if (fragments != null) {
+      fail (1002) ('Received a new message before the previous one ended');
+    } else if (frame.fin) {
+      deliver (frame.opcode) (frame.payload);
+    } else {
+      fragments = {
+        opcode: frame.opcode,
+        chunks: [frame.payload],
+        size: frame.payload.length,
+      };
+    }
+  };
+  const peek = () => Buffer.concat (chunks, Math.min (size, 14));
+  const take = n => {
+    const parts = [];
+    let remaining = n;
+    while (remaining > 0) {
+      const chunk = chunks[0];
+      if (chunk.length > remaining) {
+        parts.push (chunk.subarray (0, remaining));
+        chunks[0] = chunk.subarray (remaining);
+        remaining = 0;
+      } else {
+        parts.push (chunks.shift ());
+        remaining -= chunk.length;
+      }
+    }
+    size -= n;
+    return Buffer.concat (parts, n);
+  };
+  const onData = chunk => {
+    chunks.push (chunk);
+    size += chunk.length;
+    while (!finished) {
+      if (header == null) {
+        header = decodeFrameHeader (peek ());
+        if (header == null || !(acceptable (header))) {
+          return;
+        }
+        take (header.size);
+      }
+      if (size < header.length) {
+        return;
+      }
+      const frame = Object.assign ({payload: take (header.length)}, header);
+      header = null;
+      onFrame (frame);
+    }
+  };
+  const webSocket = {response, messages};
+  webSocketConnections.set (webSocket, {
+    send: opcode => payload => Future ((rej, res) => {
+      if (closeSent) {
+        rej (new WebSocketError (
+          'WebSocket is closing', null, request, response
+        ));
+      } else {
+        socket.write (encodeFrame (opcode) (payload), e => {
+          if (e) {
+            rej (new NetworkError (e, request));
+          } else {
+            res (undefined);
+          }
+        });
+      }
+      return () => {};
+    }),
+    close: code => reason => Future ((rej, res) => {
+      if (socket.destroyed) {
+        res (undefined);
+        return () => {};
+      }
+      const onTimeout = () => {
+        socket.removeListener ('close', onSocketClose);
+        socket.destroy ();
+        rej (new TimeoutError ('close', closeTimeout, request, response));
+      };
+      const stopTimer = startTimer (closeTimeout) (onTimeout);
+      const onSocketClose = () => {
+        stopTimer ();
+        res (undefined);
+      };
+      socket.once ('close', onSocketClose);
+      sendClose (code) (reason);
+      return () => {
+        stopTimer ();
+        socket.removeListener ('close', onSocketClose);
+      };
+    }),
+  });
+  socket.unshift (head);
+  socket.on ('data', onData);
+  socket.on ('error', e => { finish (new NetworkError (e, request)); });
+  socket.on ('close', () => {
+    finish (new WebSocketError (
+      'WebSocket closed abnormally', 1006, request, response
+    ));
+  });
+  return webSocket;
+};
+
+//# connectWebSocket :: Request -> Future Error WebSocket
+//.
+//. A [WebSocket][] client. Given a [Request](#Request) to a `ws:` or `wss:`
+//. URL (or to their `http:` and `https:` equivalents), returns a Future
+//. which performs the opening handshake, and resolves with a WebSocket: an
+//. Object with the following properties:
+//.
+//. - `response`: The [Response](#Response) with status 101 that the server
+//.   accepted the connection with. Its headers tell which subprotocol was
+//.   selected, if any.
+//. - `messages`: A [Readable][] stream in object mode of the messages
+//.   received from the server: Strings for text messages, and [Buffer][]s
+//.   for binary messages. Fragmented messages are reassembled.
+//.
+//. The handshake is sent using the method `GET`, the options and headers of
+//. the given Request, and the headers required by the protocol. To ask for
+//. a subprotocol, include a `Sec-WebSocket-Protocol` header. The Future
+//. rejects with a [WebSocketError](#WebSocketError) if the server does not
+//. respond with status 101, or if its response fails validation. Cancelling
+//. the Future aborts the handshake.
+//.
+//. Pings from the server are answered automatically. When the server
+//. closes the connection normally, the `messages` stream ends. When the
+//. server closes the connection with any other code than 1000, when the
+//. connection is lost, or when the server violates the protocol, the
+//. stream is destroyed with a WebSocketError. In the last case, the
+//. connection is closed with the appropriate close code. Messages are
+//. only read from the connection as fast as the stream is consumed.
+//. Messages larger than 100 MiB are refused by closing the connection with
+//. code 1009. Use [`connectWebSocketWith`](#connectWebSocketWith) to pick a
+//. different limit.
+//.
+//. ```js
+//. import {fork} from 'fluture';
+//.
+//. const request = Request ({}) ('wss://example.com/chat') (emptyStream);
+//.
+//. connectWebSocket (request)
+//. .pipe (chain (ws => {
+//.   ws.messages.on ('data', console.log);
+//.   return sendMessage (ws) ('Hello!');
+//. }))
+//. .pipe (fork (console.error) (() => {}));
+//. ```
+export const connectWebSocket = request => (
+  connectWebSocketWith ({}) (request)
+);
+
+//# connectWebSocketWith :: Object -> Request -> Future Error WebSocket
+//.
+//. A version of [`connectWebSocket`](#connectWebSocket) which takes an
+//. Object of options as its first argument. The following options are
+//. supported:
+//.
+//. - `maxPayload`: The maximum size in bytes of a message received from the
+//.   server, after reassembling its fragments. When the server announces a
+//.   larger frame, the connection is closed with code 1009, and the
+//.   `messages` stream is destroyed with a WebSocketError. Defaults to
+//.   100 MiB.
+//. - `closeTimeout`: The number of milliseconds that
+//.   [`closeWebSocket`](#closeWebSocket) waits for the server to
+//.   acknowledge the close, after which the connection is destroyed.
+//.   Defaults to 30 seconds.
+export const connectWebSocketWith = options => request => {
+  const maxPayload = options.maxPayload == null ?
+                     defaultMaxPayload :
+                     options.maxPayload;
+  const closeTimeout = options.closeTimeout == null ?
+                       30000 :
+                       options.closeTimeout;
+  const key = randomBytes (16).toString ('base64');
+  const location = new URL (Request.url (request));
+  location.protocol = location.protocol.replace (/^ws(s?):$/, 'http$1:');
+  const handshake = [
+    setHeader ('Connection') ('Upgrade'),
+    setHeader ('Upgrade') ('websocket'),
+    setHeader ('Sec-WebSocket-Key') (key),
+    setHeader ('Sec-WebSocket-Version') ('13'),
+    setMethod ('GET'),
+  ].reduce ((x, f) => f (x), Request (Request.options (request))
+                                     (location.href)
+                                     (emptyStream));
+  return createClientRequest (handshake).pipe (chain (create => (
+    Future ((rej, res) => {
+      const aborts = [];
+      let req = null;
+      try {
+        req = create (aborts);
+      } catch (e) {
+        rej (e);
+        return () => {};
+      }
+      const onUpgrade = (message, socket, head) => {
+        const response = Response (request) (message);
+        const error = webSocketHandshakeError (key) (handshake) (message);
+        if (error == null) {
+          res (openWebSocket ({maxPayload, closeTimeout})
+                             (request)
+                             (response)
+                             (socket)
+                             (head));
+        } else {
+          socket.destroy ();
+          rej (new WebSocketError (error, null, request, response));
+        }
+      };
+      const onResponse = message => {
+        message.resume ();
+        rej (new WebSocketError (
+          `Unexpected response status ${message.statusCode}`,
+          null,
+          request,
+          Response (request) (message)
+        ));
+      };
+      req.once ('upgrade', onUpgrade);
+      req.once ('response', onResponse);
+      req.on ('error', e => { rej (new NetworkError (e, request)); });
+      req.end ();
+      return () => {
+        req.removeListener ('upgrade', onUpgrade);
+        req.removeListener ('response', onResponse);
+        req.destroy ();
+        aborts.forEach (f => { f (null); });
+      };
+    })
+  )));
+};
+
+//# sendMessage :: WebSocket -> (String | Buffer) -> Future Error Undefined
+//.
+//. Send a message over a WebSocket created by
+//. [`connectWebSocket`](#connectWebSocket). Strings are sent as text
+//. messages, and [Buffer][]s as binary messages. The returned Future
+//. resolves once the message has been flushed to the connection, or rejects
+//. with a [WebSocketError](#WebSocketError) if the WebSocket is closing.
+export const sendMessage = webSocket => message => (
+  webSocketConnections.get (webSocket).send
+  (typeof message === 'string' ? 0x1 : 0x2)
+  (Buffer.from (message))
+);
+
+//# sendPing :: WebSocket -> Buffer -> Future Error Undefined
+//.
+//. Send a ping with the given payload over a WebSocket created by
+//. [`connectWebSocket`](#connectWebSocket), to check that the connection
+//. is alive, or to keep it alive. The returned Future resolves once the ping
+//. has been flushed to the connection. Because pings are control frames,
+//. the Future rejects with a [WebSocketError](#WebSocketError) if the
+//. payload is longer than 125 bytes.
+export const sendPing = webSocket => payload => (
+  payload.length > 125 ?
+  reject (new WebSocketError (
+    'Ping payloads are limited to 125 bytes',
+    null,
+    Response.request (webSocket.response),
+    webSocket.response
+  )) :
+  webSocketConnections.get (webSocket).send (0x9) (payload)
+);
+
+//# closeWebSocket :: Number -> String -> WebSocket -> Future Error Undefined
+//.
+//. Close a WebSocket created by [`connectWebSocket`](#connectWebSocket)
+//. with the given close code and reason. The returned Future resolves once
+//. the server has acknowledged the close, and the connection has ended.
+//. Closing a WebSocket ends its `messages` stream. If the server does not
+//. acknowledge the close within 30 seconds, or the `closeTimeout` given to
+//. [`connectWebSocketWith`](#connectWebSocketWith), the connection is
+//. destroyed and the Future rejects with a [TimeoutError](#TimeoutError).
+//.
+//. ```js
+//. connectWebSocket (request)
+//. .pipe (chain (closeWebSocket (1000) ('Done')))
+//. ```
+export const closeWebSocket = code => reason => webSocket => (
+  webSocketConnections.get (webSocket).close (code) (reason)
+);
+
+//. ### Server
+//.
+//. The functions below allow for HTTP servers to be written using the same
+//. abstractions as are used for the client side: A request handler is a
+//. function from an [IncomingMessage][] to a Future of a [Reply](#Reply).
+//.
+//. ```js
+//. import {hook, resolve, never} from 'fluture';
+//. import {serve, closeServer, Reply, streamOf} from 'fluture-node';
+//.
+//. const handler = message => resolve (
+//.   Reply (200) ({'Content-Type': 'text/plain'})
+//.         (streamOf (Buffer.from (`You requested ${message.url}`)))
+//. );
+//.
+//. hook (serve ({port: 8080}) (handler)) (closeServer) (() => never);
+//. ```
+
+//# Reply :: Number -> StrMap String -> Future Error (Readable Buffer) -> Reply
+//.
+//. Constructs a value of type Reply, which describes the response to be sent
+//. by a server created with [`serve`](#serve).
+//.
+//. Takes the following arguments:
+//.
+//. 1. The status code of the response.
+//. 2. A StrMap of response headers.
+//. 3. A Future of a [Readable][] stream of [Buffer][]s to be used as the
+//.    response body. Just like with [`Request`](#Request), the Future is
+//.    expected to produce a brand new Stream every time it is forked.
+export const Reply = status => headers => body => ({status, headers, body});
+
+//# Reply.status :: Reply -> Number
+//.
+//. Get the status code out of a Reply.
+Reply.status = ({status}) => status;
+
+//# Reply.headers :: Reply -> StrMap String
+//.
+//. Get the headers out of a Reply.
+Reply.headers = ({headers}) => headers;
+
+//# Reply.body :: Reply -> Future Error (Readable Buffer)
+//.
+//. Get the body out of a Reply.
+Reply.body = ({body}) => body;
+
+//    sendReply :: ServerResponse -> Reply -> Future Error Undefined
+const sendReply = res => reply => (
+  Reply.body (reply).pipe (chain (stream => Future ((rej, done) => {
+    try {
+      res.writeHead (Reply.status (reply), Reply.headers (reply));
+    } catch (e) {
+      stream.destroy ();
+      rej (e);
+      return () => {};
+    }
+    streamPipeline (stream, res, e => (e ? rej (e) : done (undefined)));
+    return () => { stream.destroy (); };
+  })))
+);
+
+//    handleRequest :: Server -> (IncomingMessage -> Future Error Reply)
+//                  -> (IncomingMessage, ServerResponse) -> Undefined
+const handleRequest = server => handler => (req, res) => {
+  const onClose = () => {
+    if (!res.writableFinished) { cancel (); }
+  };
+  const onFailure = () => {
+    res.removeListener ('close', onClose);
+    if (res.headersSent) {
+      res.destroy ();
+    } else {
+      res.writeHead (500, {'Content-Type': defaultContentType});
+      res.end ('Internal Server Error');
+    }
+  };
+  const onSuccess = () => {
+    res.removeListener ('close', onClose);
+  };
+  const onReply = reply => {
+    if (!server.listening) {
+      res.setHeader ('Connection', 'close');
+    }
+    return sendReply (res) (reply);
+  };
+  res.once ('close', onClose);
+  const cancel = attempt (() => handler (req))
+                 .pipe (chain (x => x))
+                 .pipe (chain (onReply))
+                 .pipe (fork (onFailure) (onSuccess));
+};
+
+//# serve :: Object -> (IncomingMessage -> Future Error Reply) -> Future Error Server
+//.
+//. Given an Object of [listen options][] and a request handler, returns
+//. a Future which creates an HTTP server and resolves with it once it's
+//. listening. If the Future is cancelled before that, the server is closed.
+//.
+//. For every incoming request, the handler is called with the
+//. [IncomingMessage][], and the Future it returns is forked:
+//.
+//. - When it resolves, the [Reply](#Reply) it holds is sent to the client.
+//. - When it rejects, or when the handler throws, the client is sent a 500
+//.   response. If the response was already underway when the rejection
+//.   happened, the connection is destroyed instead.
+//. - When the client disconnects before the reply has been sent, the
+//.   Future is cancelled.
+//.
+//. Use [`closeServer`](#closeServer) to dispose of the server, for example
+//. through [`Fluture.hook`][], as shown in the [Server section](#server).
+export const serve = options => handler => Future ((rej, res) => {
+  const server = http.createServer ();
+  server.on ('request', handleRequest (server) (handler));
+  const cancel = once ('listening') (server).pipe (fork (rej) (() => {
+    res (server);
+  }));
+  server.listen (options);
+  return () => {
+    cancel ();
+    server.once ('listening', () => { server.close (); });
+  };
+});
+
+//# closeServer :: Server -> Future Error Undefined
+//.
+//. Gracefully shuts down the given server: It stops accepting new
+//. connections, closes idle connections, and resolves once all requests
+//. that were still being handled have been replied to. Replies sent during
+//. shutdown tell the client to close the connection.
+//.
+//. Cancelling this Future does not cancel the shutdown.
+export const closeServer = server => Future ((rej, res) => {
+  server.close (e => (e ? rej (e) : res (undefined)));
+  if (typeof server.closeIdleConnections === 'function') {
+    server.closeIdleConnections ();
+  }
+  return () => {};
+});
+
+//    splitPath :: String -> Array String
+const splitPath = path => path.split ('/').filter (x => x !== '');
+
+//    matchSegments :: Array String -> Array String -> Nullable (StrMap String)
+const matchSegments = pattern => segments => {
+  const params = Object.create (null);
+  for (let i = 0; i < pattern.length; i += 1) {
+    if (pattern[i] === '*') {
+      params['*'] = segments.slice (i).join ('/');
+      return params;
+    }
+    if (i >= segments.length) {
+      return null;
+    }
+    if (pattern[i].startsWith (':')) {
+      params[pattern[i].slice (1)] = segments[i];
+    } else if (pattern[i] !== segments[i]) {
+      return null;
+    }
+  }
+  return pattern.length === segments.length ? params : null;
+};
+
+//    targetPath :: String -> Nullable String
+//
+//    Takes the path out of a request-target without resolving it against
+//    anything, so that a path starting with "//" is not mistaken for an
+//    authority. Returns null for the authority and asterisk forms.
+const targetPath = target => {
+  const path = target.replace (/[?#][\s\S]*$/, '');
+  const absolute = /^[a-z][a-z0-9+.-]*:\/\/[^/]*/i.exec (path);
+  return (
+    absolute != null ? path.slice (absolute[0].length) :
+    path.startsWith ('/') ? path :
+    null
+  );
+};
+
+//    decodeSegments :: Array String -> Nullable (Array String)
+const decodeSegments = segments => {
+  try {
+    return segments.map (decodeURIComponent);
+  } catch (e) {
+    return null;
+  }
+};
+
+//# route :: Method -> String -> (StrMap String -> IncomingMessage -> Future Error Reply) -> Route
+//.
+//. Constructs a value of type Route to be used with [`router`](#router).
+//.
+//. Takes the following arguments:
+//.
+//. 1. The request method to match against.
+//. 2. The path pattern to match against. Segments starting with a colon
+//.    (such as `:id`) match any single segment, and are made available
+//.    under their name (`id`) in the route parameters. A segment consisting
+//.    of just an asterisk (`*`) matches the remainder of the path, which is
+//.    made available under the `*` key in the route parameters.
+//. 3. The request handler. It's given the decoded route parameters and the
+//.    [IncomingMessage][].
+//.
+//. ```js
+//. route ('GET') ('/users/:id') (({id}) => message => getUser (id))
+//. ```
+export const route = method => pattern => handler => ({
+  method: method.toUpperCase (),
+  pattern: splitPath (pattern),
+  handler: handler,
+});
+
+//# mount :: String -> Array Route -> Array Route
+//.
+//. Mount a list of routes under the given path prefix. The prefix may itself
+//. contain parameters, which are passed to the handlers of the mounted
+//. routes alongside their own.
+//.
+//. ```js
+//. const userRoutes = [
+//.   route ('GET') ('/') (listUsers),
+//.   route ('GET') ('/:id') (getUser),
+//. ];
+//.
+//. serve ({port: 8080}) (router (notFound) (mount ('/api') ([
+//.   ...mount ('/users') (userRoutes),
+//.   route ('GET') ('/health') (checkHealth),
+//. ])));
+//. ```
+export const mount = prefix => routes => routes.map (r => ({
+  method: r.method,
+  pattern: splitPath (prefix).concat (r.pattern),
+  handler: r.handler,
+}));
+
+//# router :: (IncomingMessage -> Future Error Reply) -> Array Route -> IncomingMessage -> Future Error Reply
+//.
+//. Creates a request handler for use with [`serve`](#serve) out of a
+//. default handler and a list of [Route](#route)s.
+//.
+//. The routes are tried in order, and the handler of the first route that
+//. matches the method and path of the request is called. When no route
+//. matches the path, the default handler is called instead. This mirrors
+//. the way [`matchStatus`](#matchStatus) falls back to its default case, and
+//. so a router can be extended by passing it as the default handler to
+//. another router.
+//.
+//. Furthermore:
+//.
+//. - When some routes match the path, but none of them match the method,
+//.   the request is replied to with a 405 response, and an `Allow` header
+//.   listing the methods that would have been accepted.
+//. - When a `HEAD` request has no matching route, but a `GET` request to
+//.   the same path would, the handler of the `GET` route is used, and the
+//.   body of its reply is discarded.
+//.
+//. ```js
+//. const notFound = () => resolve (
+//.   Reply (404) ({'Content-Type': 'text/plain'})
+//.         (streamOf (Buffer.from ('Not Found')))
+//. );
+//.
+//. serve ({port: 8080}) (router (notFound) (routes));
+//. ```
+export const router = fallback => routes => message => {
+  const pathname = targetPath (message.url);
+  const segments = pathname == null ?
+                   null :
+                   decodeSegments (splitPath (pathname));
+  const matches = segments == null ? [] : routes.flatMap (r => {
+    const params = matchSegments (r.pattern) (segments);
+    return params == null ? [] : [{route: r, params: params}];
+  });
+  const find = method => matches.find (({route}) => route.method === method);
+  const exact = find (message.method);
+  if (exact) {
+    return exact.route.handler (exact.params) (message);
+  }
+  const get = message.method === 'HEAD' ? find ('GET') : undefined;
+  if (get) {
+    return map (reply => Reply (Reply.status (reply))
+                               (Reply.headers (reply))
+                               (emptyStream))
+               (get.route.handler (get.params) (message));
+  }
+  if (matches.length === 0) {
+    return fallback (message);
+  }
+  const methods = new Set (matches.map (({route}) => route.method));
+  if (methods.has ('GET')) {
+    methods.add ('HEAD');
+  }
+  return resolve (Reply (405) ({
+    'Allow': Array.from (methods).join (', '),
+    'Content-Type': defaultContentType,
+  }) (streamOf (Buffer.from ('Method Not Allowed'))));
+};
+
+//. ### Testing
+//.
+//. The functions below allow code which sends its requests through a
+//. [Client](#Client) to be tested without a server. A MockTransport is a
+//. middleware which answers Requests itself, instead of passing them on.
+//. Placed in a Client, it also answers the requests made to follow
+//. redirects or to retry.
+//.
+//. ```js
+//. import {fork} from 'fluture';
+//.
+//. const mock = MockTransport ([
+//.   Expectation ({method: 'GET', url: 'https://example.com/users/1'})
+//.               (Reply (200) ({'Content-Type': 'application/json'})
+//.                      (streamOf (Buffer.from ('{"name":"Jane"}')))),
+//. ]);
+//.
+//. const client = Client ([MockTransport.middleware (mock)]);
+//.
+//. retrieveVia (client) ('https://example.com/users/1') ({})
+//. .pipe (chain (bufferJsonResponse))
+//. .pipe (fork (console.error) (user => {
+//.   console.log (user.name, MockTransport.unused (mock).length);
+//. }));
+//. ```
+
+//# Expectation :: Object -> Reply -> Expectation
+//.
+//. Constructs a value of type Expectation, which describes the Requests
+//. a [MockTransport](#MockTransport) should expect, and the [Reply](#Reply)
+//. to answer them with. The Object may contain the following properties.
+//. Those that are left out match any Request.
+//.
+//. - `method`: The request method, matched case-insensitively.
+//. - `url`: A String equal to the request URL, or a RegExp matching it.
+//. - `headers`: A StrMap of Strings equal to, or RegExps matching, the
+//.   values of the request headers with those names. The names are matched
+//.   case-insensitively.
+//. - `body`: A String equal to the request body, a RegExp matching it, or
+//.   a function from the request body to a Boolean.
+//. - `times`: The number of Requests the Expectation answers. Defaults to
+//.   `1`, and may be `Infinity`.
+export const Expectation = matcher => reply => ({matcher, reply});
+
+//# Expectation.matcher :: Expectation -> Object
+//.
+//. Get the matcher Object out of an Expectation.
+Expectation.matcher = ({matcher}) => matcher;
+
+//# Expectation.reply :: Expectation -> Reply
+//.
+//. Get the Reply out of an Expectation.
+Expectation.reply = ({reply}) => reply;
+
+//    matchesPattern :: (String | RegExp) -> String -> Boolean
+const matchesPattern = pattern => value => (
+  pattern instanceof RegExp ? pattern.test (value) : pattern === value
+);
+
+//    matchesExpectation :: Object -> Request -> String -> Boolean
+const matchesExpectation = matcher => request => body => {
+  const options = cleanRequestOptions (request);
+  const headers = lowerCaseHeaders (options.headers);
+  return (
+    (matcher.method == null ||
+     matcher.method.toUpperCase () === options.method) &&
+    (matcher.url == null ||
+     matchesPattern (matcher.url) (Request.url (request))) &&
+    Object.entries (matcher.headers || {}).every (([name, pattern]) => {
+      const value = headers[name.toLowerCase ()];
+      return value != null && matchesPattern (pattern) (value);
+    }) &&
+    (matcher.body == null || (
+      typeof matcher.body === 'function' ?
+      matcher.body (body) :
+      matchesPattern (matcher.body) (body)
+    ))
+  );
+};
+
+//    replyMessage :: Reply -> Future Error IncomingMessage
+const replyMessage = reply => Reply.body (reply).pipe (map (
+  decorateMessage ('1.1') (Reply.status (reply)) (Reply.headers (reply))
+));
+
+//# MockTransport :: Array Expectation -> MockTransport
+//.
+//. Constructs a value of type MockTransport from an Array of
+//. [Expectation](#Expectation)s.
+//.
+//. Its middleware buffers the body of every Request it receives, and
+//. answers it with the Reply of the first Expectation which matches the
+//. Request and has not been used up. The Reply is turned into a
+//. [Response](#Response) whose message is a [Readable][] stream with the
+//. `statusCode`, `statusMessage`, `headers`, `rawHeaders` and `httpVersion`
+//. of an [IncomingMessage][]. Requests which match no Expectation are
+//. rejected with an [UnexpectedRequestError](#UnexpectedRequestError).
+//.
+//. The MockTransport keeps track of the Requests it could not match, and of
+//. the Expectations which were not used up, so that a test can verify that
+//. all expected requests, and only those, were made.
+//.
+//. Request bodies are buffered without a size limit. Use
+//. [`MockTransportWith`](#MockTransportWith) to impose one.
+export const MockTransport = expectations => (
+  MockTransportWith ({}) (expectations)
+);
+
+//# MockTransportWith :: Object -> Array Expectation -> MockTransport
+//.
+//. A version of [`MockTransport`](#MockTransport) which takes the same
+//. options as [`bufferWith`](#bufferWith) for buffering Request bodies.
+//. Requests with a larger body than `maxBytes` are rejected with a
+//. [PayloadTooLargeError](#PayloadTooLargeError).
+export const MockTransportWith = options => expectations => {
+  const remaining = expectations.map (expectation => {
+    const {times} = Expectation.matcher (expectation);
+    return times == null ? 1 : times;
+  });
+  const unmatched = [];
+  const answer = request => body => {
+    const index = expectations.findIndex ((expectation, i) => (
+      remaining[i] > 0 &&
+      matchesExpectation (Expectation.matcher (expectation))
+                         (request)
+                         (body)
+    ));
+    if (index < 0) {
+      unmatched.push (request);
+      return reject (new UnexpectedRequestError (request));
+    }
+    remaining[index] -= 1;
+    return replyMessage (Expectation.reply (expectations[index]))
+           .pipe (map (Response (request)));
+  };
+  return {
+    middleware: () => request => (
+      Request.body (request)
+      .pipe (chain (bufferStringWith (options) ('utf8')))
+      .pipe (mapRej (withContext (request) (null)))
+      .pipe (chain (answer (request)))
+    ),
+    unused: () => expectations.filter ((_, i) => remaining[i] > 0),
+    unmatched: () => unmatched.slice (),
+  };
+};
+
+//# MockTransport.middleware :: MockTransport -> Middleware
+//.
+//. Get the middleware out of a MockTransport, for use in a
+//. [Client](#Client). It never calls the function it is given to send
+//. Requests with.
+MockTransport.middleware = ({middleware}) => middleware;
+
+//# MockTransport.unused :: MockTransport -> Array Expectation
+//.
+//. Get the Expectations which have not been used up yet.
+MockTransport.unused = ({unused}) => unused ();
+
+//# MockTransport.unmatched :: MockTransport -> Array Request
+//.
+//. Get the Requests which did not match any Expectation so far.
+MockTransport.unmatched = ({unmatched}) => unmatched ();
+
+//    encodeBody :: Buffer -> Object
+const encodeBody = body => {
+  const text = body.toString ('utf8');
+  return Buffer.from (text, 'utf8').equals (body) ?
+         {body: text, encoding: 'utf8'} :
+         {body: body.toString ('base64'), encoding: 'base64'};
+};
+
+//    redactHeaders :: StrMap Any -> StrMap Any
+//
+//    Replaces the values of confidential headers, and of the Set-Cookie
+//    header, so that recorded credentials don't end up in fixture files.
+const redactHeaders = headers => Object.fromEntries (
+  Object.entries (headers).map (([name, value]) => [
+    name,
+    confidentialHeaders.concat (['set-cookie'])
+                       .includes (name.toLowerCase ()) ? '[REDACTED]' : value,
+  ])
+);
+
+//# recordExchanges :: Array Exchange -> Middleware
+//.
+//. Returns a middleware which passes every Request on, and pushes a
+//. description of the exchange onto the given Array. An Exchange is an
+//. Object which can be serialized to JSON, and has the following properties:
+//.
+//. - `request`: An Object with the `method`, `url`, `headers`, `body` and
+//.   `encoding` of the Request.
+//. - `response`: An Object with the `status`, `statusMessage`, `headers`,
+//.   `body` and `encoding` of the Response.
+//.
+//. Bodies are stored as Strings. Their `encoding` is `'utf8'`, or
+//. `'base64'` if the body is not valid UTF-8. The values of the
+//. Authorization, Proxy-Authorization, Cookie and Set-Cookie headers are
+//. replaced by `'[REDACTED]'`.
+//.
+//. The response body is buffered in order to record it. The middleware
+//. resolves with a Response holding a fresh stream of the same bytes, or
+//. rejects with a [BodyDecodeError](#BodyDecodeError) if buffering failed.
+//. See [`writeExchanges`](#writeExchanges) for saving the exchanges to a
+//. fixture file, and [`replayExchanges`](#replayExchanges) for answering
+//. Requests from them.
+//.
+//. Request and response bodies are buffered without a size limit. Use
+//. [`recordExchangesWith`](#recordExchangesWith) to impose one.
+export const recordExchanges = exchanges => (
+  recordExchangesWith ({}) (exchanges)
+);
+
+//# recordExchangesWith :: Object -> Array Exchange -> Middleware
+//.
+//. A version of [`recordExchanges`](#recordExchanges) which takes the same
+//. options as [`bufferWith`](#bufferWith) for buffering the request and
+//. response bodies. Exchanges with a larger body than `maxBytes` are not
+//. recorded, and the middleware rejects with a
+//. [PayloadTooLargeError](#PayloadTooLargeError).
+export const recordExchangesWith = options => exchanges => next => request => (
+  Request.body (request)
+  .pipe (chain (bufferWith (options)))
+  .pipe (mapRej (withContext (request) (null)))
+  .pipe (chain (chunks => (
+    next (request).pipe (chain (response => {
+      const message = Response.message (response);
+      return bufferWith (options) (message)
+      .pipe (mapRej (e => (
+        e instanceof HttpError ?
+        withContext (request) (response) (e) :
+        new BodyDecodeError (e, request, response)
+      )))
+      .pipe (map (Buffer.concat))
+      .pipe (chain (body => {
+        const {method, headers} = cleanRequestOptions (request);
+        exchanges.push ({
+          request: Object.assign ({
+            method: method,
+            url: Request.url (request),
+            headers: redactHeaders (headers),
+          }, encodeBody (Buffer.concat (chunks))),
+          response: Object.assign ({
+            status: message.statusCode,
+            statusMessage: message.statusMessage,
+            headers: redactHeaders (message.headers),
+          }, encodeBody (body)),
+        });
+        return streamOf (body).pipe (map (stream => Response (request) (
+          Object.assign (stream, {
+            statusCode: message.statusCode,
+            statusMessage: message.statusMessage,
+            httpVersion: message.httpVersion,
+            headers: message.headers,
+            rawHeaders: message.rawHeaders,
+          })
+        )));
+      }));
+    }))
+  )))
+);
+
+//# replayExchanges :: Array Exchange -> Array Expectation
+//.
+//. Turns the exchanges recorded by [`recordExchanges`](#recordExchanges)
+//. into [Expectation](#Expectation)s for a
+//. [MockTransport](#MockTransport). Each Expectation matches the method and
+//. URL of the recorded Request once, and replies with the recorded
+//. Response. Request headers and bodies are not matched, because they
+//. commonly contain values which differ between runs, such as multipart
+//. boundaries.
+//.
+//. ```js
+//. readExchanges ('./fixtures/users.json')
+//. .pipe (map (replayExchanges))
+//. .pipe (map (MockTransport))
+//. .pipe (chain (mock => (
+//.   retrieveVia (Client ([MockTransport.middleware (mock)]))
+//.               ('https://example.com/users/1')
+//.               ({})
+//. )))
+//. ```
+export const replayExchanges = exchanges => exchanges.map (exchange => {
+  const {method, url} = exchange.request;
+  const {status, headers, body, encoding} = exchange.response;
+  return Expectation ({method, url})
+                     (Reply (status)
+                            (headers)
+                            (streamOf (Buffer.from (body, encoding))));
+});
+
+//# readExchanges :: String -> Future Error (Array Exchange)
+//.
+//. Read the exchanges from the JSON fixture file at the given path.
+export const readExchanges = path => (
+  readFile (path)
+  .pipe (chain (encode ('utf8')))
+  .pipe (chain (encase (JSON.parse)))
+);
+
+//# writeExchanges :: String -> Array Exchange -> Future Error Undefined
+//.
+//. Write the given exchanges to a JSON fixture file at the given path.
+//.
+//. ```js
+//. const exchanges = [];
+//. const client = Client ([recordExchanges (exchanges)]);
+//.
+//. retrieveVia (client) ('https://example.com/users/1') ({})
+//. .pipe (chain (bufferResponse ('utf8')))
+//. .pipe (chain (() => writeExchanges ('./fixtures/users.json') (exchanges)))
+//. ```
+export const writeExchanges = path => exchanges => (
+  writeFile (path) (JSON.stringify (exchanges, null, 2) + '\n')
+);
+
 //. [`process.nextTick`]: https://nodejs.org/api/process.html#process_process_nexttick_callback_args
 //. [`setImmediate`]: https://nodejs.org/api/timers.html#timers_setimmediate_callback_args
 //. [`S.parseJson`]: https://sanctuary.js.org/#parseJson
 //. [`Fluture.encase`]: https://github.com/fluture-js/Fluture#encase
+//. [`Fluture.hook`]: https://github.com/fluture-js/Fluture#hook
 //. [`JSON.parse`]: https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse
+//. [`http2.connect`]: https://nodejs.org/api/http2.html#http2connectauthority-options-listener
+//. [`stream.pipeline`]: https://nodejs.org/api/stream.html#streampipelinesource-transforms-destination-callback
+//. [`URLSearchParams#append`]: https://nodejs.org/api/url.html#urlsearchparamsappendname-value
+//. [`URLSearchParams#set`]: https://nodejs.org/api/url.html#urlsearchparamssetname-value
 
 //. [Buffer]: https://nodejs.org/api/buffer.html#buffer_class_buffer
 //. [Fluture]: https://github.com/fluture-js/Fluture
 //. [http options]: https://nodejs.org/api/http.html#http_http_request_url_options_callback
 //. [IncomingMessage]: https://nodejs.org/api/http.html#http_class_http_incomingmessage
+//. [listen options]: https://nodejs.org/api/net.html#net_server_listen_options_callback
 //. [Readable]: https://nodejs.org/api/stream.html#stream_class_stream_readable
+//. [Stats]: https://nodejs.org/api/fs.html#class-fsstats
 
 //. [RFC2616 Section 10.3]: https://tools.ietf.org/html/rfc2616#section-10.3
+//. [RFC6265 Section 5.3]: https://tools.ietf.org/html/rfc6265#section-5.3
+//. [RFC6265 Section 5.4]: https://tools.ietf.org/html/rfc6265#section-5.4
+//. [RFC9111]: https://www.rfc-editor.org/rfc/rfc9111
+//. [Server-Sent Events]: https://html.spec.whatwg.org/multipage/server-sent-events.html
+//. [W3C Trace Context]: https://www.w3.org/TR/trace-context/
+//. [WebSocket]: https://www.rfc-editor.org/rfc/rfc6455
 //. [esm]: https://github.com/standard-things/esm
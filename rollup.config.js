@@ -3,7 +3,22 @@ import pkg from './package.json';
 const dependencyNames = Array.prototype.concat.call (
   Object.keys (pkg.dependencies),
   Object.keys (pkg.peerDependencies),
-  ['fluture/index.js', 'http', 'https', 'querystring', 'stream', 'util', 'dns']
+  [
+    'fluture/index.js',
+    'fs',
+    'http',
+    'https',
+    'http2',
+    'querystring',
+    'stream',
+    'string_decoder',
+    'tls',
+    'util',
+    'dns',
+    'crypto',
+    'perf_hooks',
+    'zlib',
+  ]
 );
 
 export default {